@@ -7,6 +7,16 @@
 let windsAloft = [];
 let windsTimestamp = null; // When the winds were last fetched/loaded
 
+// Hourly forecast series: [{ time (ms), winds, clouds }], windsAloft is one entry of it
+let windsForecast = [];
+
+// Cloud data and surface gusts (kt) for the selected forecast hour (null when the source has none)
+let cloudsAloft = null;
+let surfaceGustKt = null;
+
+// Selected forecast hour relative to now (0 = current hour)
+let forecastOffsetHours = 0;
+
 // Dynamic upwind/downwind offset (miles) for first exit (green light)
 let jumpRunOffsetMiles = 0;
 
@@ -23,17 +33,27 @@ let exitSeparationSeconds = 0;
 /* ================================
    LOCAL STORAGE CACHING
 =================================== */
+// One cache per wind provider (suffixed with its id), so a fallback never shows
+// another provider's winds under the active provider's name. Each entry also
+// records the DZ it was fetched for and is ignored once the DZ moves
 const CACHE_KEY = "windsAloft_cache";
 const CACHE_MAX_AGE_MS = 2 * 60 * 60 * 1000; // 2 hours
 
-// Save winds to localStorage with timestamp
-function saveWindsToCache(winds) {
+// Location the cached winds belong to
+function getWindsCacheLocation() {
+  return { lat: DZ_LAT, lon: DZ_LON, elevationFt: DZ_ELEVATION_FT };
+}
+
+// Save winds (and the forecast series) to localStorage with timestamp
+function saveWindsToCache(winds, forecast = [], providerId = activeWindProviderId) {
   try {
     const cacheData = {
       winds: winds,
-      timestamp: Date.now()
+      forecast: forecast,
+      timestamp: Date.now(),
+      dz: getWindsCacheLocation()
     };
-    localStorage.setItem(CACHE_KEY, JSON.stringify(cacheData));
+    localStorage.setItem(`${CACHE_KEY}_${providerId}`, JSON.stringify(cacheData));
     console.log("Winds saved to cache");
   } catch (err) {
     console.error("Failed to save winds to cache:", err);
@@ -41,12 +61,16 @@ function saveWindsToCache(winds) {
 }
 
 // Load winds from localStorage if available and not too old
-function loadCachedWinds() {
+function loadCachedWinds(providerId = activeWindProviderId) {
   try {
-    const cached = localStorage.getItem(CACHE_KEY);
+    const cached = localStorage.getItem(`${CACHE_KEY}_${providerId}`);
     if (!cached) return null;
 
     const cacheData = JSON.parse(cached);
+    if (JSON.stringify(cacheData.dz) !== JSON.stringify(getWindsCacheLocation())) {
+      console.log("Cached winds are for another DZ location");
+      return null;
+    }
     const age = Date.now() - cacheData.timestamp;
 
     if (age > CACHE_MAX_AGE_MS) {
@@ -57,6 +81,7 @@ function loadCachedWinds() {
     console.log("Loaded cached winds (age:", Math.round(age / 60000), "minutes)");
     return {
       winds: cacheData.winds,
+      forecast: cacheData.forecast || [],
       timestamp: cacheData.timestamp,
       age: age
     };
@@ -70,7 +95,7 @@ function loadCachedWinds() {
 function getWindsAgeString(timestamp) {
   if (!timestamp) return "";
 
-  const ageMs = Date.now() - timestamp;
+  const ageMs = appNow() - timestamp;
   const ageMinutes = Math.round(ageMs / 60000);
 
   if (ageMinutes < 1) return " (just now)";
@@ -86,10 +111,14 @@ function getWindsAgeString(timestamp) {
    ERROR HANDLING & UI FEEDBACK
 =================================== */
 
+// Pending auto-hide per banner element, so an older timeout can't hide a newer message
+const bannerTimers = {};
+
 // Show error/status banner to user
-function showBanner(message, type = 'error', duration = 10000) {
-  const banner = document.getElementById('error-banner');
+function showBanner(message, type = 'error', duration = 10000, bannerId = 'error-banner') {
+  const banner = document.getElementById(bannerId);
   if (!banner) return;
+  clearTimeout(bannerTimers[bannerId]);
 
   // Remove existing type classes
   banner.classList.remove('error', 'warning', 'info', 'success');
@@ -101,15 +130,16 @@ function showBanner(message, type = 'error', duration = 10000) {
 
   // Auto-hide after duration (unless duration is 0)
   if (duration > 0) {
-    setTimeout(() => {
+    bannerTimers[bannerId] = setTimeout(() => {
       banner.classList.add('hidden');
     }, duration);
   }
 }
 
 // Hide the banner
-function hideBanner() {
-  const banner = document.getElementById('error-banner');
+function hideBanner(bannerId = 'error-banner') {
+  clearTimeout(bannerTimers[bannerId]);
+  const banner = document.getElementById(bannerId);
   if (banner) {
     banner.classList.add('hidden');
   }
@@ -127,6 +157,26 @@ function setLoadingState(elementId, isLoading) {
   }
 }
 
+// Save a blob as a file through a temporary link
+function downloadBlob(blob, filename) {
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  // Some browsers cancel the download if the blob is released in the same tick
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+// Escape text from files, storage or feeds before it goes into HTML (tooltips, innerHTML)
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
 /* ================================
    RETRY LOGIC WITH EXPONENTIAL BACKOFF
 =================================== */
@@ -156,6 +206,11 @@ async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 2000) {
 /* ================================
    Utility functions
 =================================== */
+// Current time, or the replay clock while a recorded session is playing
+function appNow() {
+  return isReplaying() ? replay.timeMs : Date.now();
+}
+
 function destinationPoint(lat, lon, bearingDeg, distanceMeters) {
   const R = 6371000;
   const brng = bearingDeg * Math.PI / 180;
@@ -191,19 +246,174 @@ function distanceMeters(lat1, lon1, lat2, lon2) {
   return R * c;
 }
 
-/* Small helper: get wind closest to a given altitude */
-function getWindAtAlt(altFt) {
-  if (!windsAloft.length) return null;
-  let best = windsAloft[0];
-  let bestDiff = Math.abs(best.altFt - altFt);
-  for (const w of windsAloft) {
-    const d = Math.abs(w.altFt - altFt);
-    if (d < bestDiff) {
-      best = w;
-      bestDiff = d;
+/* Point displaced by a local east/north offset in miles */
+function offsetPoint(lat, lon, dxMiles, dyMiles) {
+  const distMiles = Math.sqrt(dxMiles * dxMiles + dyMiles * dyMiles);
+  if (distMiles === 0) return { lat, lon };
+  const bearing = Math.atan2(dxMiles, dyMiles) * 180 / Math.PI;
+  return destinationPoint(lat, lon, bearing, distMiles * METERS_PER_MILE);
+}
+
+function bearingDeg(lat1, lon1, lat2, lon2) {
+  const toRad = d => d * Math.PI / 180;
+  const dLon = toRad(lon2 - lon1);
+  const y = Math.sin(dLon) * Math.cos(toRad(lat2));
+  const x =
+    Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+    Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLon);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+/* Local flat-earth offset (miles east/north) of a point from the DZ */
+function offsetFromDz(lat, lon) {
+  const R = 6371000;
+  const toRad = d => d * Math.PI / 180;
+  return {
+    x: toRad(lon - DZ_LON) * Math.cos(toRad(DZ_LAT)) * R / METERS_PER_MILE,
+    y: toRad(lat - DZ_LAT) * R / METERS_PER_MILE
+  };
+}
+
+/* Signed offset for display in the selected distance unit, e.g. "+0.45" / "-0.20" */
+function formatOffsetMiles(offMi) {
+  const sign = offMi >= 0 ? "+" : "-";
+  return `${sign}${formatUnitValue("distance", Math.abs(offMi))}`;
+}
+
+/* Units: all math stays in the internal units below; values are converted
+   only when shown or typed in, following the selected unit system */
+const UNIT_FACTORS = {
+  ft:  { ft: 1, m: 0.3048 },
+  kt:  { kt: 1, "m/s": 0.514444, "km/h": 1.852, mph: 1.150779 },
+  mi:  { mi: 1, km: 1.609344, NM: 0.868976 },
+  mph: { mph: 1, "km/h": 1.609344, kt: 0.868976, "m/s": 0.44704 },
+  fpm: { fpm: 1, "m/s": 0.00508 },
+  "°C": { "°C": 1, "°F": 1.8 }
+};
+
+// Scales without a common zero
+const UNIT_OFFSETS = { "°F": 32 };
+
+// Internal unit of each displayed quantity
+const QUANTITY_UNITS = {
+  altitude: "ft",
+  windSpeed: "kt",
+  aircraftSpeed: "kt",
+  distance: "mi",
+  jumperSpeed: "mph",
+  verticalRate: "fpm",
+  temperature: "°C"
+};
+
+const UNIT_SYSTEMS = {
+  imperial: { label: "Imperial (ft, kt, mi, mph, °F)", altitude: "ft", windSpeed: "kt", aircraftSpeed: "kt", distance: "mi", jumperSpeed: "mph", verticalRate: "fpm", temperature: "°F" },
+  metric:   { label: "Metric (m, m/s, km, km/h)", altitude: "m", windSpeed: "m/s", aircraftSpeed: "km/h", distance: "km", jumperSpeed: "km/h", verticalRate: "m/s", temperature: "°C" },
+  aviation: { label: "Aviation (ft, kt, NM)", altitude: "ft", windSpeed: "kt", aircraftSpeed: "kt", distance: "NM", jumperSpeed: "kt", verticalRate: "fpm", temperature: "°C" }
+};
+
+// Decimals shown by default per display unit
+const UNIT_DECIMALS = { ft: 0, m: 0, kt: 0, "m/s": 1, "km/h": 0, mph: 0, mi: 2, km: 2, NM: 2, fpm: 0, "°C": 0, "°F": 0 };
+
+// `system` defaults to the selected unit system
+function unitLabel(quantity, system = UNIT_SYSTEM) {
+  return (UNIT_SYSTEMS[system] || UNIT_SYSTEMS.imperial)[quantity];
+}
+
+function toDisplayUnits(quantity, value, system) {
+  const unit = unitLabel(quantity, system);
+  return value * UNIT_FACTORS[QUANTITY_UNITS[quantity]][unit] + (UNIT_OFFSETS[unit] || 0);
+}
+
+function fromDisplayUnits(quantity, value, system) {
+  const unit = unitLabel(quantity, system);
+  return (value - (UNIT_OFFSETS[unit] || 0)) / UNIT_FACTORS[QUANTITY_UNITS[quantity]][unit];
+}
+
+// Converted number without the unit, e.g. "3,962"
+function formatUnitValue(quantity, value, decimals = UNIT_DECIMALS[unitLabel(quantity)]) {
+  const v = toDisplayUnits(quantity, value);
+  return decimals === 0 ? Math.round(v).toLocaleString() : v.toFixed(decimals);
+}
+
+// Converted value with its unit, e.g. "3,962 m"
+function formatUnits(quantity, value, decimals) {
+  return `${formatUnitValue(quantity, value, decimals)} ${unitLabel(quantity)}`;
+}
+
+// Static unit labels in the page: <span data-unit="altitude">
+function updateUnitLabels() {
+  document.querySelectorAll("[data-unit]").forEach(el => {
+    const unit = unitLabel(el.dataset.unit);
+    el.textContent = el.dataset.unitCase === "upper" ? unit.toUpperCase() : unit;
+  });
+}
+
+/* Wind vector helpers: meteorological "from" direction <-> u/v components (kt) */
+function windToComponents(dirDeg, speedKt) {
+  const rad = dirDeg * Math.PI / 180;
+  return {
+    u: -Math.sin(rad) * speedKt, // east component of the air motion
+    v: -Math.cos(rad) * speedKt  // north component of the air motion
+  };
+}
+
+function componentsToWind(u, v) {
+  const speedKt = Math.sqrt(u * u + v * v);
+  let dirDeg = Math.atan2(-u, -v) * 180 / Math.PI;
+  if (dirDeg < 0) dirDeg += 360;
+  return { dirDeg, speedKt };
+}
+
+/* Vector-interpolate a profile ({ altFt, dirDeg, speedKt }, sorted low to high)
+   to a given altitude. Outside the profile the nearest end is used. */
+function interpolateWind(profile, altFt) {
+  if (!profile || !profile.length) return null;
+
+  const lowest = profile[0];
+  const highest = profile[profile.length - 1];
+  if (altFt <= lowest.altFt) {
+    return withTemperature({ altFt, dirDeg: lowest.dirDeg, speedKt: lowest.speedKt }, lowest);
+  }
+  if (altFt >= highest.altFt) {
+    return withTemperature({ altFt, dirDeg: highest.dirDeg, speedKt: highest.speedKt }, highest);
+  }
+
+  for (let i = 0; i < profile.length - 1; i++) {
+    const below = profile[i];
+    const above = profile[i + 1];
+    if (altFt < below.altFt || altFt > above.altFt) continue;
+
+    const span = above.altFt - below.altFt;
+    const ratio = span > 0 ? (altFt - below.altFt) / span : 0;
+    const a = windToComponents(below.dirDeg, below.speedKt);
+    const b = windToComponents(above.dirDeg, above.speedKt);
+    const wind = componentsToWind(a.u + (b.u - a.u) * ratio, a.v + (b.v - a.v) * ratio);
+    const result = { altFt, dirDeg: wind.dirDeg, speedKt: wind.speedKt };
+
+    // Temperature linear, pressure log-linear, when both layers carry them
+    if (below.tempC != null && above.tempC != null) {
+      result.tempC = below.tempC + (above.tempC - below.tempC) * ratio;
     }
+    if (below.pressureHpa != null && above.pressureHpa != null) {
+      result.pressureHpa = Math.exp(Math.log(below.pressureHpa) +
+        (Math.log(above.pressureHpa) - Math.log(below.pressureHpa)) * ratio);
+    }
+    return result;
   }
-  return best;
+
+  return null;
+}
+
+// Outside the profile the nearest temperature is kept; pressure is not extrapolated
+function withTemperature(result, layer) {
+  if (layer.tempC != null) result.tempC = layer.tempC;
+  if (layer.pressureHpa != null && layer.altFt === result.altFt) result.pressureHpa = layer.pressureHpa;
+  return result;
+}
+
+/* Small helper: wind at a given altitude, interpolated from the current profile */
+function getWindAtAlt(altFt) {
+  return interpolateWind(windsAloft, altFt);
 }
 
 /* ================================
@@ -308,25 +518,35 @@ function renderWindsTable() {
   if (!windsAloft.length) {
     tbody.innerHTML = `<tr><td colspan="3" style="text-align:center;">Loading…</td></tr>`;
     updateWindsTimestampDisplay();
+    updateWindShearWarnings([], []);
+    updateAtmosphereDisplay();
+    updateCloudStatus();
+    renderWindLimits();
+    renderWindChart();
     return;
   }
 
   // Group consecutive identical winds into ranges
   const groupedWinds = groupWindsByRange(windsAloft);
+  const shears = analyzeWindShear(windsAloft);
+  const opposing = findOpposingHeadingLayers(windsAloft);
 
   groupedWinds.forEach(group => {
     const tr = document.createElement("tr");
-    const windSpeed = Math.round(group.speedKt);
+    const windSpeed = formatUnitValue("windSpeed", group.speedKt, 0);
     const windDir = Math.round(group.dirDeg);
     const arrow = getWindArrow(windDir);
-    const speedClass = getWindSpeedClass(windSpeed);
+    const speedClass = getWindSpeedClass(Math.round(group.speedKt));
 
-    // Format altitude: range or single altitude
+    // Format altitude: range or single altitude (metres rounded to 10)
+    const altStr = altFt => unitLabel("altitude") === "m"
+      ? String(Math.round(toDisplayUnits("altitude", altFt) / 10) * 10)
+      : String(altFt);
     let altDisplay;
     if (group.isRange) {
-      altDisplay = `${group.startAlt}-${group.endAlt}`;
+      altDisplay = `${altStr(group.startAlt)}-${altStr(group.endAlt)}`;
     } else {
-      altDisplay = group.startAlt.toString();
+      altDisplay = altStr(group.startAlt);
     }
 
     // Highlight exit and opening altitudes
@@ -334,8 +554,20 @@ function renderWindsTable() {
       tr.classList.add('altitude-highlight');
     }
 
+    // Flag the row above a shear boundary and opposing auto heading layers
+    const inGroup = altFt => altFt >= group.startAlt && altFt <= group.endAlt;
+    const rowShears = shears.filter(shear => inGroup(shear.highAltFt));
+    const rowOpposing = opposing.filter(w => inGroup(w.altFt));
+    let flag = "";
+    if (rowShears.length || rowOpposing.length) {
+      const notes = rowShears.map(describeShear)
+        .concat(rowOpposing.map(w => `Opposes the ${w.headingDeg}° auto heading`));
+      tr.classList.add('shear-row');
+      flag = ` <span class="shear-flag" title="${notes.join("\n")}">⚠</span>`;
+    }
+
     tr.innerHTML = `
-      <td>${altDisplay}</td>
+      <td>${altDisplay}${flag}</td>
       <td><span class="wind-dir"><span class="wind-arrow">${arrow}</span>${windDir}</span></td>
       <td class="${speedClass}">${windSpeed}</td>
     `;
@@ -343,6 +575,11 @@ function renderWindsTable() {
   });
 
   updateWindsTimestampDisplay();
+  updateWindShearWarnings(shears, opposing);
+  updateAtmosphereDisplay();
+  updateCloudStatus();
+  renderWindLimits();
+  renderWindChart();
 }
 
 function updateWindsTimestampDisplay() {
@@ -355,113 +592,407 @@ function updateWindsTimestampDisplay() {
   }
 
   const ageStr = getWindsAgeString(windsTimestamp);
-  const ageMs = Date.now() - windsTimestamp;
+  const ageMs = appNow() - windsTimestamp;
   const ageMinutes = Math.round(ageMs / 60000);
 
   // Show warning if data is stale (older than 90 minutes)
   if (ageMinutes > 90) {
     updatedEl.innerHTML = `<span style="color: #ff9800;">⚠ Winds data is ${ageMinutes} min old</span>`;
   } else {
-    updatedEl.textContent = `Updated${ageStr}`;
+    updatedEl.textContent = `Updated${ageStr} • ${getActiveWindProvider().label}`;
   }
 }
 
 /* ================================
-   Dynamic offset calculation (New as of 2025-12-31)
+   AIR TEMPERATURE & DENSITY
+   Forecast temperature / pressure per level where the source has them,
+   ICAO standard atmosphere otherwise
 =================================== */
-function computeOffsetMiles(jumpRunHeadingDeg) {
-    if (!windsAloft.length) return jumpRunOffsetMiles || 0;
-
-    const knotsToMph = 1.15078;
-    const ftPerMile = 5280;
-
-    // Helper to calculate drift vector (in miles) for a given phase
-    const calculateDriftVector = (startAltFt, endAltFt, descentRateMph) => {
-        let dx = 0; // miles east
-        let dy = 0; // miles north
-
-        const relevantWinds = windsAloft
-            .filter(w => w.altFt >= endAltFt && w.altFt <= startAltFt)
-            .sort((a, b) => b - a); // Process from high to low
-
-        if (relevantWinds.length === 0) {
-            // If no wind data in range, use the closest single point
-            const avgAlt = (startAltFt + endAltFt) / 2;
-            const wind = getWindAtAlt(avgAlt);
-            if (!wind) return { dx: 0, dy: 0 };
-
-            const layerThicknessFt = startAltFt - endAltFt;
-            if (layerThicknessFt <= 0) return { dx: 0, dy: 0 };
-            
-            const timeInLayerHours = (layerThicknessFt / ftPerMile) / descentRateMph;
-            const windDirTo = (wind.dirDeg + 180) % 360;
-            const windSpeedMph = wind.speedKt * knotsToMph;
-            const driftDistanceMiles = windSpeedMph * timeInLayerHours;
-
-            const theta = windDirTo * Math.PI / 180;
-            dx = Math.sin(theta) * driftDistanceMiles;
-            dy = Math.cos(theta) * driftDistanceMiles;
-            return { dx, dy };
-        }
-        
-        // Ensure start and end altitudes are part of the calculation
-        const altitudes = [startAltFt, ...relevantWinds.map(w => w.altFt), endAltFt];
-        const uniqueAlts = [...new Set(altitudes)].sort((a, b) => b - a);
-
-        for (let i = 0; i < uniqueAlts.length - 1; i++) {
-            const upperAltFt = uniqueAlts[i];
-            const lowerAltFt = uniqueAlts[i+1];
-            
-            if (upperAltFt <= lowerAltFt) continue;
-
-            const avgAlt = (upperAltFt + lowerAltFt) / 2;
-            const wind = getWindAtAlt(avgAlt);
-            if (!wind) continue;
-
-            const layerThicknessFt = upperAltFt - lowerAltFt;
-            const timeInLayerHours = (layerThicknessFt / ftPerMile) / descentRateMph;
-
-            const windDirTo = (wind.dirDeg + 180) % 360;
-            const windSpeedMph = wind.speedKt * knotsToMph;
-            const driftDistanceMiles = windSpeedMph * timeInLayerHours;
-
-            const theta = windDirTo * Math.PI / 180;
-            dx += Math.sin(theta) * driftDistanceMiles;
-            dy += Math.cos(theta) * driftDistanceMiles;
+const STD_SEA_LEVEL_TEMP_C = 15;
+const STD_SEA_LEVEL_PRESSURE_HPA = 1013.25;
+const STD_LAPSE_RATE_C_PER_FT = 0.0019812;
+const STD_SEA_LEVEL_DENSITY = 1.225; // kg/m³
+const DRY_AIR_GAS_CONSTANT = 287.05; // J/(kg·K)
+const KELVIN_OFFSET = 273.15;
+
+// Standard-atmosphere temperature and pressure at a height above mean sea level
+function standardAtmosphere(altMslFt) {
+  return {
+    tempC: STD_SEA_LEVEL_TEMP_C - STD_LAPSE_RATE_C_PER_FT * altMslFt,
+    pressureHpa: STD_SEA_LEVEL_PRESSURE_HPA * Math.pow(1 - 6.8756e-6 * altMslFt, 5.2559)
+  };
+}
+
+function airDensity(tempC, pressureHpa) {
+  return (pressureHpa * 100) / (DRY_AIR_GAS_CONSTANT * (tempC + KELVIN_OFFSET));
+}
+
+// Temperature, pressure and density at a height above the DZ
+function getAirAt(winds, altFt) {
+  const std = standardAtmosphere(altFt + DZ_ELEVATION_FT);
+  const layer = interpolateWind(winds, altFt);
+  const tempC = layer && layer.tempC != null ? layer.tempC : std.tempC;
+  const pressureHpa = layer && layer.pressureHpa != null ? layer.pressureHpa : std.pressureHpa;
+  return {
+    tempC,
+    pressureHpa,
+    isaDeviationC: tempC - std.tempC,
+    forecast: !!layer && layer.tempC != null,
+    density: airDensity(tempC, pressureHpa)
+  };
+}
+
+// Pilots fly indicated airspeed; true airspeed grows as the air thins
+function trueAirspeedKnots(indicatedKt, winds, altFt) {
+  return indicatedKt * Math.sqrt(STD_SEA_LEVEL_DENSITY / getAirAt(winds, altFt).density);
+}
+
+// Terminal velocity scales with 1/sqrt(density); configured fall rates are for
+// a standard day at FREEFALL_REFERENCE_ALT_FT MSL
+function freefallSpeedFactor(winds, altFt) {
+  const ref = standardAtmosphere(FREEFALL_REFERENCE_ALT_FT);
+  return Math.sqrt(airDensity(ref.tempC, ref.pressureHpa) / getAirAt(winds, altFt).density);
+}
+
+// Lowest height (ft AGL) where the profile crosses 0 °C; 0 if already freezing at the
+// surface, null without temperatures or when the whole profile is above freezing
+function computeFreezingLevelFt(winds) {
+  const temps = winds.filter(w => w.tempC != null);
+  if (!temps.length) return null;
+  if (temps[0].tempC <= 0) return 0;
+
+  for (let i = 1; i < temps.length; i++) {
+    const below = temps[i - 1];
+    const above = temps[i];
+    if (above.tempC <= 0) {
+      const ratio = below.tempC / (below.tempC - above.tempC);
+      return below.altFt + (above.altFt - below.altFt) * ratio;
+    }
+  }
+  return null;
+}
+
+function updateAtmosphereDisplay() {
+  const el = document.getElementById("winds-atmosphere");
+  if (!el) return;
+  if (!windsAloft.length) {
+    el.textContent = "";
+    return;
+  }
+
+  const aircraft = getActiveAircraftProfile();
+  const exitAir = getAirAt(windsAloft, aircraft.exitAltFt);
+  // A temperature difference: scaled to the display unit without the °F offset
+  const isa = Math.round(toDisplayUnits("temperature", exitAir.isaDeviationC) - toDisplayUnits("temperature", 0));
+  const isaStr = exitAir.forecast
+    ? ` (ISA ${isa >= 0 ? "+" : ""}${isa} ${unitLabel("temperature")})`
+    : " (standard atmosphere)";
+
+  const freezingFt = computeFreezingLevelFt(windsAloft);
+  const topFt = windsAloft[windsAloft.length - 1].altFt;
+  const freezingStr = freezingFt === null
+    ? (exitAir.forecast ? `above ${formatUnits("altitude", topFt)}` : "--")
+    : freezingFt === 0 ? "surface" : formatUnits("altitude", Math.round(freezingFt / 100) * 100);
+
+  const tas = trueAirspeedKnots(aircraft.jumpRunAirspeedKt, windsAloft, aircraft.exitAltFt);
+  el.textContent = `🌡 Exit ${formatUnits("altitude", aircraft.exitAltFt)}: ${formatUnits("temperature", exitAir.tempC)}${isaStr}` +
+    ` • Freezing level ${freezingStr} • Jump run TAS ${formatUnits("aircraftSpeed", tas)}`;
+}
+
+/* ================================
+   CLOUD LAYERS & CLEARANCE
+   Cloud cover per pressure level (low / mid / high bands as a fallback),
+   ceilings and go / caution / no-go against the clearance rules
+=================================== */
+// Surface temperature / dew point spread to convective cloud base
+const CLOUD_BASE_FT_PER_C_SPREAD = 400;
+
+// Open-Meteo band limits: low up to 3 km, mid 3–8 km, high above (ft); used when levels carry no cloud cover
+const CLOUD_BAND_TOPS_FT = { low: 9800, mid: 26200 };
+
+// Cloud data for one forecast hour: { levels: [{ altFt, coverPct }], lowPct, midPct, highPct, baseFt }
+function buildCloudProfile(ws, tIndex, windsByLevel) {
+  const at = key => (ws[key] && ws[key][tIndex] != null ? ws[key][tIndex] : null);
+
+  const levels = windsByLevel
+    .filter(w => w.cloudCoverPct != null)
+    .map(w => ({ altFt: w.altFt, coverPct: w.cloudCoverPct }));
+
+  const tempC = at("temperature_2m");
+  const dewPointC = at("dew_point_2m");
+  const baseFt = tempC != null && dewPointC != null
+    ? Math.max(0, (tempC - dewPointC) * CLOUD_BASE_FT_PER_C_SPREAD)
+    : null;
+
+  const clouds = {
+    levels,
+    lowPct: at("cloud_cover_low"),
+    midPct: at("cloud_cover_mid"),
+    highPct: at("cloud_cover_high"),
+    baseFt
+  };
+  return levels.length || clouds.lowPct != null ? clouds : null;
+}
+
+// Oktas-style wording for a cover percentage
+function cloudCoverName(pct) {
+  const oktas = Math.round(pct / 12.5);
+  if (oktas >= 8) return "overcast";
+  if (oktas >= 5) return "broken";
+  if (oktas >= 3) return "scattered";
+  return "few";
+}
+
+// Contiguous cloudy levels as layers { baseFt, topFt, coverPct }, low to high.
+// Edges sit halfway to the neighbouring clear level.
+function getCloudLayers(clouds) {
+  if (!clouds) return [];
+  const layers = [];
+  const levels = clouds.levels;
+
+  if (levels.length) {
+    let current = null;
+    levels.forEach((level, i) => {
+      if (level.coverPct < CLOUD_CAUTION_COVER_PCT) {
+        current = null;
+        return;
+      }
+      const below = levels[i - 1];
+      const above = levels[i + 1];
+      const topFt = above ? (level.altFt + above.altFt) / 2 : level.altFt;
+      if (!current) {
+        current = { baseFt: below ? (below.altFt + level.altFt) / 2 : 0, topFt, coverPct: level.coverPct };
+        // A convective base between the levels is a better estimate than the midpoint
+        if (!layers.length && clouds.baseFt != null && clouds.baseFt <= level.altFt &&
+            (!below || clouds.baseFt >= below.altFt)) {
+          current.baseFt = clouds.baseFt;
         }
+        layers.push(current);
+      } else {
+        current.topFt = topFt;
+        current.coverPct = Math.max(current.coverPct, level.coverPct);
+      }
+    });
+    return layers;
+  }
 
-        return { dx, dy };
+  // Band totals only: low clouds start at the dew point estimate
+  [
+    ["lowPct", clouds.baseFt ?? 0, CLOUD_BAND_TOPS_FT.low],
+    ["midPct", CLOUD_BAND_TOPS_FT.low, CLOUD_BAND_TOPS_FT.mid],
+    ["highPct", CLOUD_BAND_TOPS_FT.mid, CLOUD_BAND_TOPS_FT.mid + 10000]
+  ].forEach(([key, baseFt, topFt]) => {
+    const coverPct = clouds[key];
+    if (coverPct != null && coverPct >= CLOUD_CAUTION_COVER_PCT && baseFt < topFt) {
+      layers.push({ baseFt, topFt, coverPct });
+    }
+  });
+  return layers;
+}
+
+function describeCloudLayer(layer) {
+  const range = `${formatUnitValue("altitude", Math.round(layer.baseFt / 100) * 100)}–` +
+    formatUnits("altitude", Math.round(layer.topFt / 100) * 100);
+  return `${cloudCoverName(layer.coverPct)} layer ${range}`;
+}
+
+// Lowest broken-or-worse base (ft AGL), or null
+function getCeilingFt(layers) {
+  const ceiling = layers.find(layer => layer.coverPct >= CLOUD_NO_GO_COVER_PCT);
+  return ceiling ? ceiling.baseFt : null;
+}
+
+// { status: "go" | "caution" | "no-go" | "unknown", reasons, ceilingFt }
+function assessCloudClearance(clouds, jumper) {
+  if (!clouds) {
+    return { status: "unknown", reasons: ["No cloud data from this wind source"], ceilingFt: null };
+  }
+
+  const layers = getCloudLayers(clouds);
+  const findings = [];
+
+  layers.forEach(layer => {
+    const severity = layer.coverPct >= CLOUD_NO_GO_COVER_PCT ? "no-go" : "caution";
+    const name = describeCloudLayer(layer);
+
+    if (jumper.exitAltFt >= layer.baseFt - CLOUD_CLEARANCE_BELOW_FT &&
+        jumper.exitAltFt <= layer.topFt + CLOUD_CLEARANCE_ABOVE_FT) {
+      findings.push({ severity, text: `${name} at exit altitude` });
+    } else if (layer.baseFt < jumper.exitAltFt && layer.topFt > jumper.openingAltFt) {
+      findings.push({ severity, text: `${name} over spot` });
+    } else if (layer.baseFt < jumper.openingAltFt) {
+      findings.push({ severity, text: `${name} under canopy` });
+    }
+  });
+
+  const status = findings.some(f => f.severity === "no-go") ? "no-go"
+    : findings.length ? "caution" : "go";
+  // Worst findings first
+  findings.sort((a, b) => (a.severity === "no-go" ? 0 : 1) - (b.severity === "no-go" ? 0 : 1));
+
+  return {
+    status,
+    reasons: findings.map(f => f.text),
+    ceilingFt: getCeilingFt(layers)
+  };
+}
+
+function updateCloudStatus() {
+  const badge = document.getElementById("cloud-status");
+  const reasonEl = document.getElementById("cloud-reasons");
+  if (!badge) return;
+
+  if (!windsAloft.length) {
+    badge.className = "status-badge";
+    badge.textContent = "--";
+    if (reasonEl) reasonEl.textContent = "";
+    return;
+  }
+
+  const result = assessCloudClearance(cloudsAloft, getDefaultJumperProfile());
+  const badges = {
+    go: ["status-good", "Clear"],
+    caution: ["status-warning", "Caution"],
+    "no-go": ["status-danger", "No-go"],
+    unknown: ["", "Unknown"]
+  };
+  const [cls, label] = badges[result.status];
+  badge.className = `status-badge ${cls}`.trim();
+  badge.textContent = `☁ ${label}`;
+
+  if (reasonEl) {
+    const ceiling = result.status === "unknown" ? "" : result.ceilingFt !== null
+      ? `Ceiling ${formatUnits("altitude", Math.round(result.ceilingFt / 100) * 100)}`
+      : "No ceiling";
+    reasonEl.textContent = [...result.reasons, ceiling].filter(Boolean).join(" • ");
+  }
+}
+
+/* ================================
+   Dynamic offset calculation (New as of 2025-12-31)
+=================================== */
+const KNOTS_TO_MPH = 1.15078;
+const FT_PER_MILE = 5280;
+
+// Jumper profile for the generic single-jumper offset (config defaults)
+function getDefaultJumperProfile() {
+    return {
+        exitAltFt: getActiveAircraftProfile().exitAltFt,
+        openingAltFt: OPENING_ALTITUDE_FT,
+        fallRateMph: FREEFALL_TERMINAL_VELOCITY_MPH,
+        canopyDescentMph: CANOPY_DESCENT_RATE_MPH,
+        canopyForwardMph: CANOPY_FORWARD_SPEED_MPH
     };
+}
+
+// Drift vector (miles east/north) while descending from startAltFt to endAltFt
+// With densityScaled the rate is a freefall speed that varies with air density per layer
+function computeDriftVector(winds, startAltFt, endAltFt, descentRateMph, densityScaled = false) {
+    let dx = 0; // miles east
+    let dy = 0; // miles north
+
+    const relevantWinds = winds
+        .filter(w => w.altFt >= endAltFt && w.altFt <= startAltFt)
+        .sort((a, b) => b.altFt - a.altFt); // Process from high to low
+
+    if (relevantWinds.length === 0) {
+        // If no wind data in range, use the closest single point
+        const avgAlt = (startAltFt + endAltFt) / 2;
+        const wind = interpolateWind(winds, avgAlt);
+        if (!wind) return { dx: 0, dy: 0 };
+
+        const layerThicknessFt = startAltFt - endAltFt;
+        if (layerThicknessFt <= 0) return { dx: 0, dy: 0 };
+
+        const rateMph = densityScaled ? descentRateMph * freefallSpeedFactor(winds, avgAlt) : descentRateMph;
+        const timeInLayerHours = (layerThicknessFt / FT_PER_MILE) / rateMph;
+        const windDirTo = (wind.dirDeg + 180) % 360;
+        const windSpeedMph = wind.speedKt * KNOTS_TO_MPH;
+        const driftDistanceMiles = windSpeedMph * timeInLayerHours;
+
+        const theta = windDirTo * Math.PI / 180;
+        dx = Math.sin(theta) * driftDistanceMiles;
+        dy = Math.cos(theta) * driftDistanceMiles;
+        return { dx, dy };
+    }
+
+    // Ensure start and end altitudes are part of the calculation
+    const altitudes = [startAltFt, ...relevantWinds.map(w => w.altFt), endAltFt];
+    const uniqueAlts = [...new Set(altitudes)].sort((a, b) => b - a);
+
+    for (let i = 0; i < uniqueAlts.length - 1; i++) {
+        const upperAltFt = uniqueAlts[i];
+        const lowerAltFt = uniqueAlts[i+1];
+
+        if (upperAltFt <= lowerAltFt) continue;
+
+        const avgAlt = (upperAltFt + lowerAltFt) / 2;
+        const wind = interpolateWind(winds, avgAlt);
+        if (!wind) continue;
+
+        const layerThicknessFt = upperAltFt - lowerAltFt;
+        const rateMph = densityScaled ? descentRateMph * freefallSpeedFactor(winds, avgAlt) : descentRateMph;
+        const timeInLayerHours = (layerThicknessFt / FT_PER_MILE) / rateMph;
 
+        const windDirTo = (wind.dirDeg + 180) % 360;
+        const windSpeedMph = wind.speedKt * KNOTS_TO_MPH;
+        const driftDistanceMiles = windSpeedMph * timeInLayerHours;
+
+        const theta = windDirTo * Math.PI / 180;
+        dx += Math.sin(theta) * driftDistanceMiles;
+        dy += Math.cos(theta) * driftDistanceMiles;
+    }
+
+    return { dx, dy };
+}
+
+// Ideal exit and opening points (miles along the heading from abeam the DZ) for one jumper
+// profile, spotted for the landing target (the run axis passes over it)
+function computeExitPointMiles(jumpRunHeadingDeg, winds, jumper) {
     // 1. Calculate canopy flight characteristics
-    const timeUnderCanopyHours = (OPENING_ALTITUDE_FT - 0) / ftPerMile / CANOPY_DESCENT_RATE_MPH;
-    const canopyPassiveDrift = calculateDriftVector(OPENING_ALTITUDE_FT, 0, CANOPY_DESCENT_RATE_MPH);
+    const timeUnderCanopyHours = (jumper.openingAltFt - 0) / FT_PER_MILE / jumper.canopyDescentMph;
+    const canopyPassiveDrift = computeDriftVector(winds, jumper.openingAltFt, 0, jumper.canopyDescentMph);
 
-    // 2. Determine the required opening point relative to the DZ
+    // 2. Determine the required opening point relative to the landing target
     const H_rad = jumpRunHeadingDeg * Math.PI / 180;
     const headingUx = Math.sin(H_rad);
     const headingUy = Math.cos(H_rad);
+    const landingTarget = getLandingTarget();
+    const target = offsetFromDz(landingTarget.lat, landingTarget.lon);
+    const targetAlongHeading = target.x * headingUx + target.y * headingUy;
     const canopyDriftAlongHeading = canopyPassiveDrift.dx * headingUx + canopyPassiveDrift.dy * headingUy;
 
-    const flyableDistMiles = CANOPY_FORWARD_SPEED_MPH * timeUnderCanopyHours;
+    const flyableDistMiles = jumper.canopyForwardMph * timeUnderCanopyHours;
 
     // Adjust flight direction based on wind:
-    // - Tailwind (positive drift): open upwind, fly downwind to DZ
-    // - Headwind (negative drift): open downwind, fly upwind to DZ
+    // - Tailwind (positive drift): open upwind, fly downwind to the target
+    // - Headwind (negative drift): open downwind, fly upwind to the target
     const flightDirection = Math.sign(canopyDriftAlongHeading || 1);
-    const openingPointOffsetMiles = -(canopyDriftAlongHeading + flightDirection * flyableDistMiles);
-    
+    const openingPointOffsetMiles = targetAlongHeading - (canopyDriftAlongHeading + flightDirection * flyableDistMiles);
+
     // 3. Calculate freefall drift
-    const freefallDrift = calculateDriftVector(EXIT_ALTITUDE_FT, OPENING_ALTITUDE_FT, FREEFALL_TERMINAL_VELOCITY_MPH);
+    const freefallDrift = computeDriftVector(winds, jumper.exitAltFt, jumper.openingAltFt, jumper.fallRateMph, true);
     const freefallDriftAlongHeading = freefallDrift.dx * headingUx + freefallDrift.dy * headingUy;
 
     // 4. The Exit Point is the Opening Point, adjusted for freefall drift.
     const exitPointOffsetMiles = openingPointOffsetMiles - freefallDriftAlongHeading;
 
+    return {
+        exitMiles: exitPointOffsetMiles,
+        openingMiles: openingPointOffsetMiles
+    };
+}
+
+function computeOffsetMiles(jumpRunHeadingDeg, winds = windsAloft) {
+    if (!winds.length) return jumpRunOffsetMiles || 0;
+
+    const exitPointOffsetMiles =
+        computeExitPointMiles(jumpRunHeadingDeg, winds, getDefaultJumperProfile()).exitMiles;
+
     // 5. Final offset for the green light (start of jump run)
     // Position green light at optimal exit point so FIRST group out gets the best spot.
     // Subsequent groups exit progressively further upwind as plane continues jump run.
-    const fudge = AIRPLANE_DRIFT_MILES + LIGHT_TO_DOOR_MILES;
+    const fudge = getDoorFudgeMiles();
     let offset = exitPointOffsetMiles - fudge;
 
     if (!Number.isFinite(offset)) offset = 0;
@@ -473,17 +1004,137 @@ function computeOffsetMiles(jumpRunHeadingDeg) {
     return offset;
 }
 
+/* ================================
+   AIRCRAFT PROFILES
+   Jump run figures per aircraft type; in auto mode the type follows the
+   jump plane ADS-B shows climbing (or on jump run)
+=================================== */
+const AIRCRAFT_PROFILE_KEY = "aircraftProfile";
+
+// "auto" or a key of AIRCRAFT_PROFILES
+let aircraftProfileMode = "auto";
+// Jump plane that last set the auto profile (hex)
+let autoAircraftHex = null;
+
+function getAircraftProfileKeyForHex(hex) {
+  const tail = HEX_TO_TAIL[hex];
+  return (tail && AIRCRAFT_BY_TAIL[tail]) || null;
+}
+
+// Profile values, falling back to the generic jump run settings for anything unset
+function resolveAircraftProfile(key) {
+  const p = AIRCRAFT_PROFILES[key] || {};
+  return {
+    key: AIRCRAFT_PROFILES[key] ? key : null,
+    label: p.label || "Generic",
+    jumpRunAirspeedKt: p.jumpRunAirspeedKt ?? JUMP_RUN_AIRSPEED_KNOTS,
+    jumpRunLengthMiles: p.jumpRunLengthMiles ?? JUMP_RUN_LENGTH_MILES,
+    lightToDoorMiles: p.lightToDoorMiles ?? LIGHT_TO_DOOR_MILES,
+    climbRateFpm: p.climbRateFpm ?? null,
+    exitAltFt: p.exitAltFt ?? EXIT_ALTITUDE_FT
+  };
+}
+
+function getActiveAircraftProfile() {
+  const key = aircraftProfileMode === "auto"
+    ? (autoAircraftHex && getAircraftProfileKeyForHex(autoAircraftHex))
+    : aircraftProfileMode;
+  return resolveAircraftProfile(key);
+}
+
+// Green light to first exit: aircraft drift plus the light-to-door delay
+function getDoorFudgeMiles() {
+  return AIRPLANE_DRIFT_MILES + getActiveAircraftProfile().lightToDoorMiles;
+}
+
+// Called on every ADS-B poll; replans when a different type starts climbing
+function updateAutoAircraft() {
+  const active = getActiveJumpPlane();
+  if (!active || active.hex === autoAircraftHex) return;
+
+  const previousKey = getActiveAircraftProfile().key;
+  autoAircraftHex = active.hex;
+  if (aircraftProfileMode !== "auto") return;
+
+  const profile = getActiveAircraftProfile();
+  updateAircraftProfileDisplay();
+  if (profile.key !== previousKey) {
+    console.log(`Aircraft profile: ${profile.label} (${active.tail})`);
+    autoUpdateHeadingFromWinds();
+    renderWindsTable();
+  }
+}
+
+function updateAircraftProfileDisplay() {
+  const el = document.getElementById("aircraft-profile-status");
+  if (!el) return;
+
+  const profile = getActiveAircraftProfile();
+  const details = `${formatUnits("aircraftSpeed", profile.jumpRunAirspeedKt)} • ${formatUnits("distance", profile.jumpRunLengthMiles)} run • ` +
+    `${formatUnits("distance", profile.lightToDoorMiles)} light-to-door • exit ${formatUnits("altitude", profile.exitAltFt)}`;
+
+  if (aircraftProfileMode !== "auto") {
+    el.textContent = details;
+  } else if (autoAircraftHex) {
+    const tail = HEX_TO_TAIL[autoAircraftHex] || autoAircraftHex.toUpperCase();
+    el.textContent = `${tail} (${profile.label}) • ${details}`;
+  } else {
+    el.textContent = `No jump plane climbing yet • ${details}`;
+  }
+}
+
+function initAircraftProfileControls() {
+  const saved = localStorage.getItem(AIRCRAFT_PROFILE_KEY);
+  if (saved && (saved === "auto" || AIRCRAFT_PROFILES[saved])) {
+    aircraftProfileMode = saved;
+  }
+
+  const select = document.getElementById("aircraft-profile-select");
+  if (select) {
+    select.innerHTML = `<option value="auto">Auto (ADS-B)</option>` +
+      Object.entries(AIRCRAFT_PROFILES)
+        .map(([key, p]) => `<option value="${key}">${p.label}</option>`)
+        .join("");
+    select.value = aircraftProfileMode;
+
+    select.addEventListener("change", () => {
+      aircraftProfileMode = select.value;
+      try {
+        localStorage.setItem(AIRCRAFT_PROFILE_KEY, aircraftProfileMode);
+      } catch (err) {
+        console.error("Failed to save aircraft profile:", err);
+      }
+      updateAircraftProfileDisplay();
+      autoUpdateHeadingFromWinds();
+      renderWindsTable();
+    });
+  }
+
+  updateAircraftProfileDisplay();
+}
+
 /* ================================
    JUMP RUN GROUND SPEED & EXIT SEPARATION
 =================================== */
 function computeGroundSpeedAndSeparation(headingDeg) {
+  jumpRunGroundSpeedKnots = computeGroundSpeedKnots(headingDeg, windsAloft);
+
+  // Calculate exit separation based on ground speed
+  exitSeparationSeconds = getExitSeparation(jumpRunGroundSpeedKnots);
+}
+
+/* Helper: jump run ground speed (kt) for a heading and wind profile */
+function computeGroundSpeedKnots(headingDeg, winds) {
+  const aircraft = getActiveAircraftProfile();
+
+  // Jump run airspeed is indicated; the plane moves through the air at TAS
+  const trueAirspeedKt = trueAirspeedKnots(aircraft.jumpRunAirspeedKt, winds, aircraft.exitAltFt);
+
   // Get wind at exit altitude
-  const exitWind = getWindAtAlt(EXIT_ALTITUDE_FT);
+  const exitWind = interpolateWind(winds, aircraft.exitAltFt);
   if (!exitWind) {
     // No wind data, assume no wind effect
-    jumpRunGroundSpeedKnots = JUMP_RUN_AIRSPEED_KNOTS;
-    exitSeparationSeconds = getExitSeparation(jumpRunGroundSpeedKnots);
-    return;
+    return trueAirspeedKt;
   }
 
   // Convert jump run heading to radians
@@ -500,14 +1151,8 @@ function computeGroundSpeedAndSeparation(headingDeg) {
   // Calculate wind component along jump run heading (positive = tailwind, negative = headwind)
   const windAlongHeading = windVectorX * headingUx + windVectorY * headingUy;
 
-  // Ground speed = airspeed + tailwind (or - headwind)
-  jumpRunGroundSpeedKnots = JUMP_RUN_AIRSPEED_KNOTS + windAlongHeading;
-
-  // Ensure ground speed is positive
-  if (jumpRunGroundSpeedKnots < 0) jumpRunGroundSpeedKnots = 0;
-
-  // Calculate exit separation based on ground speed
-  exitSeparationSeconds = getExitSeparation(jumpRunGroundSpeedKnots);
+  // Ground speed = true airspeed + tailwind (or - headwind), never negative
+  return Math.max(0, trueAirspeedKt + windAlongHeading);
 }
 
 /* Helper: Get exit separation time based on ground speed */
@@ -544,28 +1189,69 @@ function getExitSeparation(groundSpeedKnots) {
   return 10; // Default fallback
 }
 
-/* Helper: a point at signed distance sMiles along the jump run axis */
-function pointOnRun(sMiles, headingDeg) {
+/* Helper: how far (miles, right of the heading) the jump run axis is shifted off the DZ
+   so it passes over the landing target */
+function getRunCrossOffsetMiles(headingDeg) {
+  const landingTarget = getLandingTarget();
+  const target = offsetFromDz(landingTarget.lat, landingTarget.lon);
+  const rad = headingDeg * Math.PI / 180;
+  return target.x * Math.cos(rad) - target.y * Math.sin(rad);
+}
+
+/* Helper: a point at signed distance sMiles along the jump run axis
+   (measured from abeam the DZ) */
+function pointOnRun(sMiles, headingDeg, crossMiles = getRunCrossOffsetMiles(headingDeg)) {
   const upwindBearing = (headingDeg + 180) % 360;
   const distMeters = Math.abs(sMiles) * METERS_PER_MILE;
+  const rad = headingDeg * Math.PI / 180;
+  const origin = offsetPoint(DZ_LAT, DZ_LON, crossMiles * Math.cos(rad), -crossMiles * Math.sin(rad));
 
   if (sMiles >= 0) {
-    return destinationPoint(DZ_LAT, DZ_LON, headingDeg, distMeters);
+    return destinationPoint(origin.lat, origin.lon, headingDeg, distMeters);
   } else {
-    return destinationPoint(DZ_LAT, DZ_LON, upwindBearing, distMeters);
+    return destinationPoint(origin.lat, origin.lon, upwindBearing, distMeters);
   }
 }
 
 /* ================================
    Auto Heading From Winds (5k–14k)
 =================================== */
+// Altitude band (ft AGL) averaged for the auto heading
+const AUTO_HEADING_MIN_FT = 5000;
+const AUTO_HEADING_MAX_FT = 14000;
+
+// Returns false (and leaves the drawing alone) when no winds can be solved
 function autoUpdateHeadingFromWinds() {
-  const slice = windsAloft.filter(w => w.altFt >= 5000 && w.altFt <= 14000);
-  if (!slice.length) {
+  const solution = solveJumpRunHeading(windsAloft);
+  if (solution === null) {
     console.warn("Auto heading: no winds in 5k–14k range");
-    return;
+    return false;
+  }
+
+  // Best legal heading; the ideal into-wind heading may have been rejected
+  jumpRunSolution = solution;
+  autoHeadingDeg = solution.headingDeg;
+  autoOffsetMiles = solution.offsetMiles;
+
+  // A manual override stays locked until explicitly reverted to auto
+  if (jumpRunSource === "manual") {
+    updateJumpRun();
+    return true;
   }
 
+  currentHeadingDeg = autoHeadingDeg;
+  jumpRunOffsetMiles = autoOffsetMiles;
+
+  jumpRunSource = "auto-winds";
+  updateJumpRun();
+  return true;
+}
+
+/* Helper: heading into the averaged 5k–14k wind, or null without data */
+function computeHeadingFromWinds(winds) {
+  const slice = winds.filter(w => w.altFt >= AUTO_HEADING_MIN_FT && w.altFt <= AUTO_HEADING_MAX_FT);
+  if (!slice.length) return null;
+
   let sumX = 0, sumY = 0, sumSpeed = 0;
 
   slice.forEach(w => {
@@ -579,126 +1265,569 @@ function autoUpdateHeadingFromWinds() {
   let avgDeg = avgRad * 180 / Math.PI;
   if (avgDeg < 0) avgDeg += 360;
 
-  currentHeadingDeg = Math.round(avgDeg);
-
-  jumpRunOffsetMiles = computeOffsetMiles(currentHeadingDeg);
-
-  jumpRunSource = "auto-winds";
-  updateJumpRun();
+  return Math.round(avgDeg) % 360;
 }
 
 /* ================================
-   Fetch live winds from GFS
+   WIND SHEAR ANALYSIS
+   Layer-to-layer direction / speed changes, and opposing layers
+   hidden inside the auto heading average
 =================================== */
-async function fetchWinds() {
-  setLoadingState('winds-loading', true);
+// Direction shear is meaningless in light winds
+const SHEAR_MIN_SPEED_KT = 5;
 
-  try {
-    // Wrap the fetch logic in a function that can be retried
-    const fetchWindsOnce = async () => {
-      const url =
-        `${WIND_MODEL_URL}?latitude=${DZ_LAT}&longitude=${DZ_LON}` +
-        `&hourly=` +
-        `wind_speed_1000hPa,wind_direction_1000hPa,` +
-        `wind_speed_925hPa,wind_direction_925hPa,` +
-        `wind_speed_850hPa,wind_direction_850hPa,` +
-        `wind_speed_700hPa,wind_direction_700hPa,` +
-        `wind_speed_600hPa,wind_direction_600hPa` +
-        `&wind_speed_unit=kn&timezone=auto`;
-
-      const res = await fetch(url);
-
-      if (!res.ok) {
-        throw new Error(`HTTP ${res.status}: ${res.statusText}`);
-      }
+let lastShearSignature = "";
 
-      const data = await res.json();
-      const ws = data.hourly;
-
-      if (!ws || !ws.time || !ws.time.length) {
-        throw new Error("Invalid data from weather API");
-      }
+// Smallest angle between two directions (0–180)
+function angleDiffDeg(a, b) {
+  const d = Math.abs(a - b) % 360;
+  return d > 180 ? 360 - d : d;
+}
 
-      const now = new Date();
-      let tIndex = 0;
-      let bestDiff = Infinity;
+// Where a shear between two altitudes hits jumpers
+function shearZone(lowAltFt, highAltFt) {
+  const openingAltFt = getDefaultJumperProfile().openingAltFt;
+  if (lowAltFt <= openingAltFt + 1000 && highAltFt >= openingAltFt - 1000) return "opening";
+  if (highAltFt <= openingAltFt) return "canopy";
+  return "freefall";
+}
 
-      ws.time.forEach((tStr, i) => {
-        const t = new Date(tStr);
-        const diff = Math.abs(t.getTime() - now.getTime());
-        if (diff < bestDiff) {
-          bestDiff = diff;
-          tIndex = i;
-        }
-      });
+// Adjacent layers whose change per 1000 ft exceeds the thresholds
+function analyzeWindShear(winds) {
+  const shears = [];
+
+  for (let i = 1; i < winds.length; i++) {
+    const low = winds[i - 1];
+    const high = winds[i];
+    const per1000 = Math.max(high.altFt - low.altFt, 1000) / 1000;
+
+    const dirChangeDeg = angleDiffDeg(low.dirDeg, high.dirDeg);
+    const speedChangeKt = Math.abs(high.speedKt - low.speedKt);
+    const directional = Math.min(low.speedKt, high.speedKt) >= SHEAR_MIN_SPEED_KT &&
+      dirChangeDeg / per1000 >= SHEAR_DIRECTION_WARN_DEG_PER_1000FT;
+    const speed = speedChangeKt / per1000 >= SHEAR_SPEED_WARN_KT_PER_1000FT;
+    if (!directional && !speed) continue;
+
+    shears.push({
+      lowAltFt: low.altFt,
+      highAltFt: high.altFt,
+      dirChangeDeg: directional ? dirChangeDeg : null,
+      speedChangeKt: speed ? high.speedKt - low.speedKt : null,
+      zone: shearZone(low.altFt, high.altFt)
+    });
+  }
+  return shears;
+}
 
-      const windsByLevel = [];
+// Layers in the auto heading band blowing against the averaged wind
+function findOpposingHeadingLayers(winds) {
+  const heading = computeHeadingFromWinds(winds);
+  if (heading === null) return [];
 
-      function pushLevel(level) {
-        const speedArr = ws[`wind_speed_${level}hPa`];
-        const dirArr = ws[`wind_direction_${level}hPa`];
-        if (!speedArr || !dirArr) return;
+  return winds.filter(w =>
+    w.altFt >= AUTO_HEADING_MIN_FT && w.altFt <= AUTO_HEADING_MAX_FT &&
+    w.speedKt >= SHEAR_MIN_SPEED_KT &&
+    angleDiffDeg(w.dirDeg, heading) >= SHEAR_OPPOSING_LAYER_DEG
+  ).map(w => ({ ...w, headingDeg: heading }));
+}
 
-        windsByLevel.push({
-          level,
-          altFt: approxAltitudeFtByLevel[level],
-          dirDeg: dirArr[tIndex],
-          speedKt: speedArr[tIndex]
-        });
-      }
+function describeShear(shear) {
+  const parts = [];
+  if (shear.dirChangeDeg !== null) parts.push(`${Math.round(shear.dirChangeDeg)}° turn`);
+  if (shear.speedChangeKt !== null) {
+    const sign = shear.speedChangeKt > 0 ? "+" : "-";
+    parts.push(`${sign}${formatUnits("windSpeed", Math.abs(shear.speedChangeKt))}`);
+  }
+  const range = `${formatUnitValue("altitude", shear.lowAltFt)}–${formatUnits("altitude", shear.highAltFt)}`;
+  const zone = shear.zone === "freefall" ? "" : ` (${shear.zone})`;
+  return `${parts.join(", ")} ${range}${zone}`;
+}
 
-      pressureLevels.forEach(pushLevel);
+function describeOpposingLayers(layers) {
+  const alts = layers.map(w => `${formatUnits("altitude", w.altFt)} from ${Math.round(w.dirDeg)}°`).join(", ");
+  return `Auto heading ${layers[0].headingDeg}° averages over opposing winds: ${alts}`;
+}
 
-      if (!windsByLevel.length) {
-        throw new Error("No valid wind data in response");
-      }
+// Warnings list under the winds table; banner only when the set of warnings changes
+function updateWindShearWarnings(shears, opposing) {
+  const el = document.getElementById("winds-shear");
+  const messages = shears.map(describeShear);
+  if (opposing.length) messages.push(describeOpposingLayers(opposing));
 
-      return desiredAltitudesFt.map(altFt => {
-        let best = windsByLevel[0];
-        let bestDiffAlt = Math.abs(altFt - best.altFt);
+  if (el) {
+    el.innerHTML = messages.map(m => `<div>⚠ ${m}</div>`).join("");
+    el.classList.toggle("hidden", messages.length === 0);
+  }
 
-        windsByLevel.forEach(w => {
-          const d = Math.abs(altFt - w.altFt);
-          if (d < bestDiffAlt) {
-            best = w;
-            bestDiffAlt = d;
-          }
-        });
+  // Only the live hour raises a banner; scrubbing the forecast or a replay just updates the list
+  if (forecastOffsetHours !== 0 || isReplaying()) return;
 
-        return {
-          altFt,
-          dirDeg: best.dirDeg,
-          speedKt: best.speedKt
-        };
-      });
-    };
+  const signature = JSON.stringify([
+    shears.map(s => [s.lowAltFt, s.highAltFt, s.zone]),
+    opposing.map(w => w.altFt)
+  ]);
+  if (signature === lastShearSignature) return;
+  lastShearSignature = signature;
 
-    // Retry the fetch with exponential backoff (up to 3 retries)
-    windsAloft = await retryWithBackoff(fetchWindsOnce, 3, 2000);
+  if (messages.length) {
+    const lowShear = shears.some(s => s.zone !== "freefall");
+    showBanner(`⚠ Wind shear: ${messages.join(" • ")}`, lowShear ? "error" : "warning", 10000);
+  }
+}
 
-    // Update timestamp and save to cache
-    windsTimestamp = Date.now();
-    saveWindsToCache(windsAloft);
+/* ================================
+   WIND LIMITS (GO / HOLD PER JUMPER CATEGORY)
+   Evaluates the selected forecast hour against WIND_LIMIT_CATEGORIES
+=================================== */
+const WIND_LIMIT_LABELS = {
+  surfaceKt: "Surface",
+  gustKt: "Gusts",
+  gustSpreadKt: "Gust spread",
+  openingKt: "Opening",
+  crosswindKt: "Crosswind"
+};
+
+// Last live ("now") status per category, for change alerts
+let windLimitStatuses = {};
+
+// Final heading into the surface wind, limited to LANDING_DIRECTIONS_DEG when configured
+function getLandingHeadingDeg(surfaceWind, calmHeadingDeg) {
+  if (!surfaceWind || surfaceWind.speedKt < 1) return calmHeadingDeg;
+  if (!LANDING_DIRECTIONS_DEG.length) return surfaceWind.dirDeg;
+
+  return LANDING_DIRECTIONS_DEG.reduce((best, dir) =>
+    angleDiffDeg(dir, surfaceWind.dirDeg) < angleDiffDeg(best, surfaceWind.dirDeg) ? dir : best);
+}
 
-    renderWindsTable();
-    autoUpdateHeadingFromWinds();
+// Wind values the limits are checked against (kt); null where the source has no data
+function getWindLimitInputs(winds, gustKt, category) {
+  const surface = interpolateWind(winds, 0);
+  const opening = interpolateWind(winds, category.openingAltFt);
+  // Without configured landing directions the canopy lands into the wind: no crosswind to check
+  const landingDeg = surface && LANDING_DIRECTIONS_DEG.length ? getLandingHeadingDeg(surface, surface.dirDeg) : null;
+
+  return {
+    surfaceKt: surface ? surface.speedKt : null,
+    gustKt,
+    gustSpreadKt: surface && gustKt != null ? Math.max(0, gustKt - surface.speedKt) : null,
+    openingKt: opening ? opening.speedKt : null,
+    crosswindKt: landingDeg != null ? surface.speedKt * Math.abs(Math.sin((surface.dirDeg - landingDeg) * Math.PI / 180)) : null
+  };
+}
+
+// { status: "go" | "caution" | "hold", exceeded: [...], near: [...], unavailable: [...] }
+function evaluateWindLimits(winds, gustKt, category) {
+  const inputs = getWindLimitInputs(winds, gustKt, category);
+  const exceeded = [];
+  const near = [];
+  const unavailable = [];
+
+  Object.keys(WIND_LIMIT_LABELS).forEach(key => {
+    const limit = category[key];
+    const value = inputs[key];
+    if (limit == null) return;
+    if (value == null) {
+      unavailable.push(`${WIND_LIMIT_LABELS[key]} n/a`);
+      return;
+    }
+
+    const text = `${WIND_LIMIT_LABELS[key]} ${formatUnitValue("windSpeed", value)} / ${formatUnits("windSpeed", limit)}`;
+    if (value > limit) exceeded.push(text);
+    else if (value >= limit * WIND_LIMIT_CAUTION_FRACTION) near.push(text);
+  });
+
+  return {
+    status: exceeded.length ? "hold" : near.length ? "caution" : "go",
+    exceeded,
+    near,
+    unavailable
+  };
+}
+
+function renderWindLimits() {
+  const listEl = document.getElementById("wind-limits-list");
+  const forEl = document.getElementById("wind-limits-for");
+  if (!listEl) return;
+
+  listEl.innerHTML = "";
+  if (!windsAloft.length) {
+    listEl.innerHTML = `<div class="small">Waiting for winds…</div>`;
+    return;
+  }
+
+  const live = forecastOffsetHours === 0;
+  if (forEl) forEl.textContent = live ? "Now" : `Forecast +${forecastOffsetHours} h`;
+
+  const badges = {
+    go: ["status-good", "GO"],
+    caution: ["status-warning", "CAUTION"],
+    hold: ["status-danger", "HOLD"]
+  };
+  const changes = [];
+
+  Object.entries(WIND_LIMIT_CATEGORIES).forEach(([key, category]) => {
+    const result = evaluateWindLimits(windsAloft, surfaceGustKt, category);
+    const [cls, label] = badges[result.status];
+    const detail = result.status === "hold"
+      ? `Over: ${result.exceeded.join(", ")}`
+      : result.status === "caution" ? `Near: ${result.near.join(", ")}` : "Within limits";
+    const unavailable = result.unavailable.length ? ` • ${result.unavailable.join(", ")}` : "";
+
+    const row = document.createElement("div");
+    row.className = `wind-limit-row wind-limit-${result.status}`;
+    row.innerHTML = `
+      <span class="status-badge ${cls}">${label}</span>
+      <strong>${category.label}</strong>
+      <div class="small">${detail}${unavailable}</div>
+    `;
+    listEl.appendChild(row);
+
+    if (!live) return;
+    const previous = windLimitStatuses[key];
+    windLimitStatuses[key] = result.status;
+    if (previous && previous !== result.status && (previous === "hold" || result.status === "hold")) {
+      changes.push(result.status === "hold"
+        ? `${category.label}: HOLD (${result.exceeded.join(", ")})`
+        : `${category.label}: back within limits`);
+    }
+  });
+
+  if (changes.length) {
+    const anyHold = changes.some(c => c.includes("HOLD"));
+    // Own banner, so other alerts in the same update don't replace a sticky HOLD
+    showBanner(`Wind limits • ${changes.join(" • ")}`, anyHold ? "error" : "success", anyHold ? 0 : 8000, "wind-limits-banner");
+  }
+}
+
+/* ================================
+   WIND SOURCE PROVIDERS
+   Every provider resolves to a forecast series: [{ time (ms), winds }]
+=================================== */
+const WIND_PROVIDER_KEY = "windProvider";
+const WIND_SOURCE_TEXT_KEY_PREFIX = "windSourceText_";
+
+// id -> { label, remote, fetchForecast() }
+const windProviders = {};
+
+// Active provider id (a choice made in the UI overrides the config default)
+let activeWindProviderId = WIND_PROVIDER;
+
+function registerWindProvider(id, provider) {
+  windProviders[id] = provider;
+}
+
+function getActiveWindProvider() {
+  return windProviders[activeWindProviderId] || windProviders[WIND_PROVIDER];
+}
+
+// Hourly variables requested unless a model lists its own (see WIND_MODELS)
+const DEFAULT_SURFACE_VARIABLES = [
+  "wind_speed_10m", "wind_direction_10m", "wind_gusts_10m", "temperature_2m", "dew_point_2m", "surface_pressure",
+  "cloud_cover_low", "cloud_cover_mid", "cloud_cover_high"
+];
+const DEFAULT_LEVEL_VARIABLES = ["wind_speed", "wind_direction", "geopotential_height", "temperature", "cloud_cover"];
+
+// Surface variables plus every per-level variable at every level the model publishes
+function buildWindsUrl(model) {
+  const hourlyVars = (model.surfaceVariables || DEFAULT_SURFACE_VARIABLES).slice();
+  (model.levels || pressureLevels).forEach(level => {
+    (model.levelVariables || DEFAULT_LEVEL_VARIABLES).forEach(name => {
+      hourlyVars.push(`${name}_${level}hPa`);
+    });
+  });
+
+  let url = `${model.url}?latitude=${DZ_LAT}&longitude=${DZ_LON}` +
+    `&hourly=${hourlyVars.join(",")}` +
+    `&wind_speed_unit=kn&timezone=auto`;
+  if (model.model) {
+    url += `&models=${model.model}`;
+  }
+  return url;
+}
+
+// Place each pressure level at its height above the DZ for one forecast hour.
+// Returns levels sorted low to high, starting with the 10 m surface wind.
+function buildLevelProfile(ws, tIndex, elevationFt) {
+  const windsByLevel = [];
+
+  const sfcSpeed = ws.wind_speed_10m ? ws.wind_speed_10m[tIndex] : null;
+  const sfcDir = ws.wind_direction_10m ? ws.wind_direction_10m[tIndex] : null;
+  if (sfcSpeed != null && sfcDir != null) {
+    const surface = {
+      level: "10m",
+      altFt: SURFACE_WIND_HEIGHT_FT,
+      dirDeg: sfcDir,
+      speedKt: sfcSpeed
+    };
+    const sfcTemp = ws.temperature_2m ? ws.temperature_2m[tIndex] : null;
+    const sfcPressure = ws.surface_pressure ? ws.surface_pressure[tIndex] : null;
+    if (sfcTemp != null) surface.tempC = sfcTemp;
+    if (sfcPressure > 0) surface.pressureHpa = sfcPressure;
+    windsByLevel.push(surface);
+  }
+
+  pressureLevels.forEach(level => {
+    const speedArr = ws[`wind_speed_${level}hPa`];
+    const dirArr = ws[`wind_direction_${level}hPa`];
+    const heightArr = ws[`geopotential_height_${level}hPa`];
+    if (!speedArr || !dirArr) return;
+    if (speedArr[tIndex] == null || dirArr[tIndex] == null) return;
+
+    const altFt = heightArr && heightArr[tIndex] != null
+      ? heightArr[tIndex] * FEET_PER_METER - elevationFt
+      : approxAltitudeFtByLevel[level] - elevationFt;
+
+    // Skip levels that sit below the surface wind (e.g. 1000 hPa on a low-pressure day)
+    if (altFt <= SURFACE_WIND_HEIGHT_FT) return;
+
+    const tempArr = ws[`temperature_${level}hPa`];
+    const cloudArr = ws[`cloud_cover_${level}hPa`];
+    const entry = {
+      level,
+      altFt,
+      dirDeg: dirArr[tIndex],
+      speedKt: speedArr[tIndex],
+      pressureHpa: level
+    };
+    if (tempArr && tempArr[tIndex] != null) entry.tempC = tempArr[tIndex];
+    if (cloudArr && cloudArr[tIndex] != null) entry.cloudCoverPct = cloudArr[tIndex];
+    windsByLevel.push(entry);
+  });
+
+  return windsByLevel.sort((a, b) => a.altFt - b.altFt);
+}
+
+// Fetch and parse one Open-Meteo model into a forecast series
+async function fetchOpenMeteoForecast(model) {
+  const res = await fetch(buildWindsUrl(model));
+
+  if (!res.ok) {
+    throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+  }
+
+  const data = await res.json();
+  const ws = data.hourly;
+
+  if (!ws || !ws.time || !ws.time.length) {
+    throw new Error("Invalid data from weather API");
+  }
+
+  // Keep every hour from just before now through the slider horizon
+  const now = Date.now();
+  const firstMs = now - 60 * 60 * 1000;
+  const lastMs = now + (FORECAST_SCRUB_HOURS + 1) * 60 * 60 * 1000;
+
+  // Model grid elevation, so level heights become height above the DZ
+  const elevationFt = (data.elevation || 0) * FEET_PER_METER;
+  const forecast = [];
+
+  ws.time.forEach((tStr, tIndex) => {
+    const time = new Date(tStr).getTime();
+    if (time < firstMs || time > lastMs) return;
+
+    const windsByLevel = buildLevelProfile(ws, tIndex, elevationFt);
+    if (!windsByLevel.length) return;
+
+    forecast.push({
+      time,
+      winds: desiredAltitudesFt.map(altFt => interpolateWind(windsByLevel, altFt)),
+      clouds: buildCloudProfile(ws, tIndex, windsByLevel),
+      gustKt: ws.wind_gusts_10m ? ws.wind_gusts_10m[tIndex] : null
+    });
+  });
+
+  if (!forecast.length) {
+    throw new Error("No valid wind data in response");
+  }
+
+  return forecast;
+}
+
+// Decode one FD wind group (DDSS, DDSS±TT or DDSSTT) into direction/speed/temperature
+function decodeFdGroup(group) {
+  if (!/^\d{4}/.test(group)) return null;
+
+  const dd = parseInt(group.slice(0, 2), 10);
+  const ss = parseInt(group.slice(2, 4), 10);
+
+  // ±TT below 24,000 ft; above that the sign is omitted and always minus
+  const tt = group.slice(4);
+  const tempC = /^[+-]\d{2}$/.test(tt) ? Number(tt) : /^\d{2}$/.test(tt) ? -Number(tt) : null;
+  const withTemp = wind => (tempC === null ? wind : { ...wind, tempC });
+
+  // 9900 = light and variable
+  if (dd === 99 && ss === 0) return withTemp({ dirDeg: 0, speedKt: 0 });
+
+  // Speeds of 100 kt or more are encoded by adding 50 to the direction
+  if (dd >= 51 && dd <= 86) {
+    return withTemp({ dirDeg: ((dd - 50) * 10) % 360, speedKt: ss + 100 });
+  }
+  if (dd > 36) return null;
+
+  return withTemp({ dirDeg: (dd * 10) % 360, speedKt: ss });
+}
+
+// Parse a plain-text FD ("winds aloft") bulletin for one station.
+// Altitudes in the bulletin are MSL and are converted to height above the DZ.
+function parseFdBulletin(text, station) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+  const header = lines.find(line => /^FT\s/i.test(line));
+  if (!header) throw new Error("FD bulletin has no FT altitude header");
+  const altitudesMsl = header.split(/\s+/).slice(1).map(Number);
+
+  const headerIndex = lines.indexOf(header);
+  const row = station
+    ? lines.find(line => line.split(/\s+/)[0].toUpperCase() === station.toUpperCase())
+    : lines[headerIndex + 1];
+  if (!row) throw new Error(`Station ${station} not found in FD bulletin`);
+
+  // Low levels near the station elevation are left blank, so groups align right
+  const groups = row.split(/\s+/).slice(1);
+  const altitudes = altitudesMsl.slice(altitudesMsl.length - groups.length);
+
+  const profile = [];
+  groups.forEach((group, i) => {
+    const wind = decodeFdGroup(group);
+    const altFt = altitudes[i] - DZ_ELEVATION_FT;
+    if (!wind || !Number.isFinite(altFt) || altFt <= 0) return;
+    profile.push({ ...wind, altFt });
+  });
+
+  if (!profile.length) throw new Error(`No usable winds for ${station} in FD bulletin`);
+  return profile.sort((a, b) => a.altFt - b.altFt);
+}
+
+// Parse manual entry: one "ALT DIR SPEED" line per layer (AGL, deg, speed),
+// typed in the given unit system
+function parseManualWinds(text, system = UNIT_SYSTEM) {
+  const profile = [];
+
+  text.split(/\r?\n/).forEach((line, i) => {
+    const trimmed = line.replace(/#.*/, "").trim();
+    if (!trimmed) return;
+
+    const [alt, dirDeg, speed] = trimmed.split(/[\s,/]+/).map(Number);
+    const altFt = fromDisplayUnits("altitude", alt, system);
+    const speedKt = fromDisplayUnits("windSpeed", speed, system);
+    if (![altFt, dirDeg, speedKt].every(Number.isFinite) ||
+        altFt < 0 || dirDeg < 0 || dirDeg > 360 || speedKt < 0) {
+      throw new Error(`Manual winds line ${i + 1} is not "ALT DIR SPEED"`);
+    }
+    profile.push({ altFt, dirDeg: dirDeg % 360, speedKt });
+  });
+
+  if (!profile.length) throw new Error("Enter at least one manual wind layer");
+  return profile.sort((a, b) => a.altFt - b.altFt);
+}
+
+// Rewrite manual winds typed in one unit system into the selected one;
+// comments and lines that don't parse are kept as they are
+function convertManualWindsText(text, fromSystem) {
+  return text.split(/\r?\n/).map(line => {
+    const comment = (line.match(/#.*/) || [""])[0];
+    let layer;
+    try {
+      [layer] = parseManualWinds(line.replace(/#.*/, ""), fromSystem);
+    } catch (err) {
+      return line;
+    }
+    if (!layer) return line;
+    const alt = Math.round(toDisplayUnits("altitude", layer.altFt));
+    const speed = Number(toDisplayUnits("windSpeed", layer.speedKt).toFixed(1));
+    return `${alt} ${Math.round(layer.dirDeg)} ${speed}${comment ? " " + comment : ""}`;
+  }).join("\n");
+}
+
+// Text-based sources produce a single "now" entry
+function singleHourForecast(profile) {
+  return [{
+    time: Date.now(),
+    winds: desiredAltitudesFt.map(altFt => interpolateWind(profile, altFt))
+  }];
+}
+
+function getWindSourceText(id) {
+  return localStorage.getItem(WIND_SOURCE_TEXT_KEY_PREFIX + id) || "";
+}
+
+function setWindSourceText(id, text) {
+  try {
+    localStorage.setItem(WIND_SOURCE_TEXT_KEY_PREFIX + id, text);
+  } catch (err) {
+    console.error("Failed to save wind source text:", err);
+  }
+}
+
+// Built-in providers: one per configured Open-Meteo model, plus FD and manual
+Object.entries(WIND_MODELS).forEach(([id, model]) => {
+  registerWindProvider(id, {
+    label: model.label,
+    remote: true,
+    fetchForecast: () => fetchOpenMeteoForecast(model)
+  });
+});
+
+registerWindProvider("fd", {
+  label: `FD bulletin (${FD_STATION})`,
+  remote: false,
+  hint: `Paste the FD winds aloft bulletin including the FT header and the ${FD_STATION} line.`,
+  fetchForecast: async () => singleHourForecast(parseFdBulletin(getWindSourceText("fd"), FD_STATION))
+});
+
+registerWindProvider("manual", {
+  label: "Manual entry",
+  remote: false,
+  hint: () => `One layer per line: ALT(${unitLabel("altitude")} AGL) DIR(°) SPEED(${unitLabel("windSpeed")}), ` +
+    `e.g. ${Math.round(toDisplayUnits("altitude", 3000) / 100) * 100} 270 ${Math.round(toDisplayUnits("windSpeed", 15))}`,
+  fetchForecast: async () => singleHourForecast(parseManualWinds(getWindSourceText("manual")))
+});
+
+/* ================================
+   Fetch winds from the active provider
+=================================== */
+async function fetchWinds() {
+  if (isReplaying()) return;
+
+  const provider = getActiveWindProvider();
+  setLoadingState('winds-loading', true);
+
+  try {
+    // Remote models get retried with exponential backoff (up to 3 retries);
+    // a bad bulletin or manual entry will not fix itself, so no retries there
+    const retries = provider.remote ? 3 : 0;
+    windsForecast = await retryWithBackoff(provider.fetchForecast, retries, 2000);
+    applyForecastHour();
+
+    // Update timestamp and save to cache
+    windsTimestamp = Date.now();
+    saveWindsToCache(getForecastEntry(0).winds, windsForecast);
+    updateWindsTimestampDisplay();
+    recordSessionEvent("winds", { provider: activeWindProviderId, timestamp: windsTimestamp, forecast: windsForecast });
 
     // Hide any existing error messages on success
     hideBanner();
 
-    console.log("Winds fetched successfully");
+    if (isWindComparisonOpen()) {
+      refreshWindComparison();
+    }
+
+    console.log(`Winds fetched successfully (${provider.label})`);
 
   } catch (err) {
     console.error("Error loading winds from API after retries:", err);
 
+    if (!provider.remote) {
+      showBanner(`${provider.label}: ${err.message}`, 'error', 0);
+      return;
+    }
+
     // Try to fall back to cached winds
     const cached = loadCachedWinds();
     if (cached && cached.winds.length) {
       console.log("Using cached winds as fallback");
-      windsAloft = cached.winds;
       windsTimestamp = cached.timestamp;
-      renderWindsTable();
-      autoUpdateHeadingFromWinds();
+      applyCachedWinds(cached);
 
       const ageMinutes = Math.round(cached.age / 60000);
       showBanner(
@@ -720,441 +1849,4182 @@ async function fetchWinds() {
 }
 
 /* ================================
-   MAP + JUMP RUN
+   WIND SOURCE SELECTOR & MODEL COMPARISON
 =================================== */
-document.getElementById("dz-name").textContent = DZ_NAME;
-document.getElementById("dz-lat").textContent = DZ_LAT.toFixed(5);
-document.getElementById("dz-lon").textContent = DZ_LON.toFixed(5);
 
-// Init map centered on DZ with zoom 15
-const map = L.map("map").setView([DZ_LAT, DZ_LON], 15);
+// Latest comparison results: [{ id, label, forecast, error }]
+let windComparison = [];
 
-// SATELLITE TILES (Esri World Imagery)
-L.tileLayer(
-  "https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}",
-  {
-    maxZoom: 19,
-    attribution: "Tiles © Esri — Source: Esri, Maxar, Earthstar Geographics"
+function initWindSourceControls() {
+  const select = document.getElementById("wind-source");
+  if (!select) return;
+
+  const saved = localStorage.getItem(WIND_PROVIDER_KEY);
+  if (saved && windProviders[saved]) {
+    activeWindProviderId = saved;
   }
-).addTo(map);
 
-// Custom dropzone marker with pulsing effect
-const dzIcon = L.divIcon({
-  className: "dz-marker-icon",
-  html: '<div class="dz-marker-outer"><div class="dz-marker-inner">🎯</div></div>',
-  iconSize: [40, 40],
-  iconAnchor: [20, 20]
-});
+  Object.entries(windProviders).forEach(([id, provider]) => {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = provider.label;
+    select.appendChild(option);
+  });
+  select.value = activeWindProviderId;
 
-L.marker([DZ_LAT, DZ_LON], { icon: dzIcon })
-  .addTo(map);
+  select.addEventListener("change", () => {
+    activeWindProviderId = select.value;
+    try {
+      localStorage.setItem(WIND_PROVIDER_KEY, activeWindProviderId);
+    } catch (err) {
+      console.error("Failed to save wind provider:", err);
+    }
+    updateWindSourceEntry();
+    fetchWinds();
+  });
 
-let jumpRunGroup = null;
+  const applyBtn = document.getElementById("wind-source-apply");
+  if (applyBtn) {
+    applyBtn.addEventListener("click", () => {
+      const textEl = document.getElementById("wind-source-text");
+      setWindSourceText(activeWindProviderId, textEl.value);
+      fetchWinds();
+    });
+  }
 
-function updateJumpRun() {
-  const heading = currentHeadingDeg || 270;
+  const compareBtn = document.getElementById("wind-compare-toggle");
+  if (compareBtn) {
+    compareBtn.addEventListener("click", () => {
+      const panel = document.getElementById("wind-compare");
+      panel.classList.toggle("hidden");
+      if (isWindComparisonOpen()) {
+        refreshWindComparison();
+      }
+    });
+  }
 
-  // Calculate ground speed and exit separation
-  computeGroundSpeedAndSeparation(heading);
+  updateWindSourceEntry();
+}
 
-  const offset = jumpRunOffsetMiles || 0;
-  const runMiles = JUMP_RUN_LENGTH_MILES;
+// Show the text box for bulletin/manual sources
+function updateWindSourceEntry() {
+  const entryEl = document.getElementById("wind-source-entry");
+  if (!entryEl) return;
 
-  const sStart = offset;
-  const sEnd   = offset + runMiles;
+  const provider = getActiveWindProvider();
+  if (provider.remote) {
+    entryEl.classList.add("hidden");
+    return;
+  }
 
-  const startPointObj = pointOnRun(sStart, heading);
-  const endPointObj   = pointOnRun(sEnd, heading);
+  entryEl.classList.remove("hidden");
+  document.getElementById("wind-source-text").value = getWindSourceText(activeWindProviderId);
+  const hint = typeof provider.hint === "function" ? provider.hint() : provider.hint;
+  document.getElementById("wind-source-hint").textContent = hint || "";
+}
 
-  const startLatLng = [startPointObj.lat, startPointObj.lon];
-  const endLatLng   = [endPointObj.lat, endPointObj.lon];
+function isWindComparisonOpen() {
+  const panel = document.getElementById("wind-compare");
+  return !!panel && !panel.classList.contains("hidden");
+}
 
-  if (jumpRunGroup) {
-    map.removeLayer(jumpRunGroup);
-  }
+// Fetch every comparison source (no retries; failures show as unavailable)
+async function refreshWindComparison() {
+  setLoadingState('wind-compare-loading', true);
+
+  windComparison = await Promise.all(COMPARE_WIND_PROVIDERS
+    .filter(id => windProviders[id])
+    .map(async id => {
+      const provider = windProviders[id];
+      try {
+        return { id, label: provider.label, forecast: await provider.fetchForecast(), error: null };
+      } catch (err) {
+        console.error(`Comparison fetch failed for ${provider.label}:`, err);
+        return { id, label: provider.label, forecast: [], error: err.message };
+      }
+    }));
 
-  // Enhanced jump run with glow effect (outer glow + inner line)
-  const glowLine = L.polyline([startLatLng, endLatLng], {
-    weight: 10,
-    color: "#4caf50",
-    opacity: 0.3,
-    className: "jump-run-glow"
+  setLoadingState('wind-compare-loading', false);
+  renderWindComparison();
+}
+
+// Closest entry to the selected forecast hour within one source's series
+function getComparisonEntry(forecast) {
+  const target = appNow() + forecastOffsetHours * 60 * 60 * 1000;
+  let best = null;
+  forecast.forEach(entry => {
+    if (!best || Math.abs(entry.time - target) < Math.abs(best.time - target)) {
+      best = entry;
+    }
   });
+  return best;
+}
 
-  const mainLine = L.polyline([startLatLng, endLatLng], {
-    weight: 5,
-    color: "#76ff03",
-    opacity: 0.95,
-    className: "jump-run-main"
+// Smallest angle between two headings (0–180)
+function headingDifference(a, b) {
+  const diff = Math.abs(((a - b) % 360 + 360) % 360);
+  return diff > 180 ? 360 - diff : diff;
+}
+
+function renderWindComparison() {
+  const tbody = document.getElementById("wind-compare-body");
+  const statusEl = document.getElementById("wind-compare-status");
+  if (!tbody || !statusEl) return;
+
+  tbody.innerHTML = "";
+  const solutions = [];
+
+  windComparison.forEach(source => {
+    const tr = document.createElement("tr");
+    const entry = source.error ? null : getComparisonEntry(source.forecast);
+    const solution = entry ? solveJumpRunHeading(entry.winds) : null;
+    const heading = solution ? solution.headingDeg : null;
+
+    if (heading === null) {
+      tr.innerHTML = `
+        <td>${source.label}</td>
+        <td colspan="3" class="compare-unavailable">${source.error ? "Unavailable" : "No data"}</td>
+      `;
+    } else {
+      const offset = solution.offsetMiles;
+      const groundSpeed = computeGroundSpeedKnots(heading, entry.winds);
+      solutions.push({ heading, offset });
+
+      tr.innerHTML = `
+        <td>${source.label}</td>
+        <td>${heading}°</td>
+        <td>${formatOffsetMiles(offset)}</td>
+        <td>${formatUnitValue("aircraftSpeed", groundSpeed)}</td>
+      `;
+    }
+
+    if (source.id === activeWindProviderId) {
+      tr.classList.add('altitude-highlight');
+    }
+    tbody.appendChild(tr);
   });
 
-  const arrowLenMeters = runMiles * METERS_PER_MILE * 0.12;
-  const tipLat = endPointObj.lat;
-  const tipLon = endPointObj.lon;
+  if (solutions.length < 2) {
+    statusEl.className = "status-badge status-warning";
+    statusEl.textContent = "Not enough models to compare";
+    return;
+  }
 
-  const left = destinationPoint(tipLat, tipLon, heading - 150, arrowLenMeters);
-  const right = destinationPoint(tipLat, tipLon, heading + 150, arrowLenMeters);
+  // Worst pairwise disagreement across all models
+  let headingSpread = 0;
+  let offsetSpread = 0;
+  solutions.forEach(a => {
+    solutions.forEach(b => {
+      headingSpread = Math.max(headingSpread, headingDifference(a.heading, b.heading));
+      offsetSpread = Math.max(offsetSpread, Math.abs(a.offset - b.offset));
+    });
+  });
 
-  const arrowGlowLeft = L.polyline(
-    [[tipLat, tipLon], [left.lat, left.lon]],
-    { weight: 10, color: "#4caf50", opacity: 0.3, className: "jump-run-glow" }
-  );
-  const arrowGlowRight = L.polyline(
-    [[tipLat, tipLon], [right.lat, right.lon]],
-    { weight: 10, color: "#4caf50", opacity: 0.3, className: "jump-run-glow" }
-  );
+  const disagree = headingSpread > COMPARE_HEADING_WARN_DEG || offsetSpread > COMPARE_OFFSET_WARN_MILES;
+  statusEl.className = `status-badge ${disagree ? "status-warning" : "status-good"}`;
+  statusEl.textContent = disagree
+    ? `⚠ Models disagree: ${Math.round(headingSpread)}° / ${formatUnits("distance", offsetSpread)} spread`
+    : `Models agree within ${Math.round(headingSpread)}° / ${formatUnits("distance", offsetSpread)}`;
+}
 
-  const arrowLeft = L.polyline(
-    [[tipLat, tipLon], [left.lat, left.lon]],
-    { weight: 5, color: "#76ff03", opacity: 0.95, className: "jump-run-main" }
-  );
-  const arrowRight = L.polyline(
-    [[tipLat, tipLon], [right.lat, right.lon]],
-    { weight: 5, color: "#76ff03", opacity: 0.95, className: "jump-run-main" }
-  );
+/* ================================
+   FORECAST TIME SLIDER
+=================================== */
 
-  jumpRunGroup = L.layerGroup([
-    glowLine, mainLine,
-    arrowGlowLeft, arrowGlowRight,
-    arrowLeft, arrowRight
-  ]).addTo(map);
+// Forecast entry closest to now + offsetHours
+function getForecastEntry(offsetHours) {
+  if (!windsForecast.length) return null;
 
-  // Map stays centered on DZ at zoom 15
+  const target = appNow() + offsetHours * 60 * 60 * 1000;
+  let best = windsForecast[0];
+  for (const entry of windsForecast) {
+    if (Math.abs(entry.time - target) < Math.abs(best.time - target)) {
+      best = entry;
+    }
+  }
+  return best;
+}
 
-  const summaryEl = document.getElementById("jump-run-summary");
-  const groundSpeedEl = document.getElementById("ground-speed-summary");
-  const updatedEl = document.getElementById("jump-run-updated");
+// Load the selected forecast hour into windsAloft and recompute everything
+function applyForecastHour() {
+  // Single-hour sources (bulletin, manual entry) cannot be scrubbed
+  const slider = document.getElementById("forecast-slider");
+  if (windsForecast.length === 1) {
+    forecastOffsetHours = 0;
+  }
+  if (slider) {
+    slider.value = forecastOffsetHours;
+    slider.disabled = windsForecast.length === 1;
+  }
 
-  if (summaryEl) {
-    const headingStr = Math.round(heading);
-    const offMi = jumpRunOffsetMiles || 0;
-    const sign = offMi >= 0 ? "+" : "";
-    const offStr = `${sign}${Math.abs(offMi).toFixed(2)}`;
-    summaryEl.textContent = `${headingStr}° @ ${offStr}`;
+  const entry = getForecastEntry(forecastOffsetHours);
+  if (entry) {
+    windsAloft = entry.winds;
+    cloudsAloft = entry.clouds || null;
+    surfaceGustKt = entry.gustKt ?? null;
   }
 
-  if (groundSpeedEl) {
-    const groundSpeedStr = Math.round(jumpRunGroundSpeedKnots);
-    const separationStr = exitSeparationSeconds;
-    groundSpeedEl.textContent = `${groundSpeedStr} kts • ${separationStr} sec`;
+  updateForecastLabel(entry);
+  renderWindsTable();
+  autoUpdateHeadingFromWinds();
+
+  if (isWindComparisonOpen()) {
+    renderWindComparison();
   }
+}
 
-  if (updatedEl) {
-    const now = new Date();
-    const timeStr = now.toLocaleTimeString([], {
-      hour: "2-digit",
-      minute: "2-digit"
+// Use a cached forecast if present (older caches only hold one hour)
+function applyCachedWinds(cached) {
+  if (cached.forecast && cached.forecast.length) {
+    windsForecast = cached.forecast;
+    applyForecastHour();
+  } else {
+    windsForecast = [];
+    windsAloft = cached.winds;
+    cloudsAloft = null;
+    surfaceGustKt = null;
+    renderWindsTable();
+    autoUpdateHeadingFromWinds();
+  }
+}
+
+function formatForecastTime(timeMs) {
+  return new Date(timeMs).toLocaleString([], {
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit"
+  });
+}
+
+function updateForecastLabel(entry) {
+  const labelEl = document.getElementById("forecast-label");
+  if (!labelEl) return;
+
+  if (!entry) {
+    labelEl.textContent = forecastOffsetHours === 0 ? "Now" : `+${forecastOffsetHours} h`;
+    return;
+  }
+
+  const timeStr = formatForecastTime(entry.time);
+  labelEl.textContent = forecastOffsetHours === 0
+    ? `Now • ${timeStr}`
+    : `+${forecastOffsetHours} h • ${timeStr}`;
+}
+
+function initForecastSlider() {
+  const slider = document.getElementById("forecast-slider");
+  if (!slider) return;
+
+  slider.max = FORECAST_SCRUB_HOURS;
+  slider.value = forecastOffsetHours;
+  slider.addEventListener("input", () => {
+    forecastOffsetHours = Number(slider.value);
+    applyForecastHour();
+  });
+
+  const nowBtn = document.getElementById("forecast-now");
+  if (nowBtn) {
+    nowBtn.addEventListener("click", () => {
+      forecastOffsetHours = 0;
+      slider.value = 0;
+      applyForecastHour();
+    });
+  }
+
+  updateForecastLabel(null);
+}
+
+/* ================================
+   WIND PROFILE CHART
+   Speed / direction vs altitude and a hodograph of windsAloft,
+   with the previous forecast hour as a ghost trace
+=================================== */
+
+function isWindChartOpen() {
+  const panel = document.getElementById("wind-chart");
+  return !!panel && !panel.classList.contains("hidden");
+}
+
+// The forecast hour before the one shown, or null for single-hour sources
+function getPreviousForecastWinds() {
+  if (windsForecast.length < 2) return null;
+  const entry = getForecastEntry(forecastOffsetHours);
+  const index = windsForecast.indexOf(entry);
+  return index > 0 ? windsForecast[index - 1].winds : null;
+}
+
+// Round axis maximum up to a readable step
+function niceAxisMax(value, step) {
+  return Math.max(step, Math.ceil(value / step) * step);
+}
+
+function svgPolyline(points, cls) {
+  if (points.length < 2) return "";
+  return `<polyline class="${cls}" points="${points.map(p => p.join(",")).join(" ")}"/>`;
+}
+
+// Direction traces break where they wrap through north instead of crossing the panel
+function directionSegments(winds, x, y) {
+  const segments = [];
+  let current = [];
+  winds.forEach((w, i) => {
+    if (i > 0 && Math.abs(w.dirDeg - winds[i - 1].dirDeg) > 180) {
+      segments.push(current);
+      current = [];
+    }
+    current.push([x(w.dirDeg), y(w.altFt)]);
+  });
+  segments.push(current);
+  return segments;
+}
+
+function renderWindProfileChart(svg, winds, ghost) {
+  const width = 300, height = 240;
+  const pad = { left: 38, right: 6, top: 8, bottom: 22 };
+  const gap = 14;
+  const panelWidth = (width - pad.left - pad.right - gap) / 2;
+  const jumper = getDefaultJumperProfile();
+
+  const maxAltFt = Math.max(jumper.exitAltFt, AUTO_HEADING_MAX_FT, ...winds.map(w => w.altFt));
+  const maxSpeed = niceAxisMax(Math.max(...winds.concat(ghost || []).map(w => toDisplayUnits("windSpeed", w.speedKt))), 10);
+  const altAxisMax = niceAxisMax(toDisplayUnits("altitude", maxAltFt), unitLabel("altitude") === "m" ? 1000 : 2000);
+  const altStep = unitLabel("altitude") === "m" ? 1000 : 2000;
+
+  const y = altFt => pad.top + (1 - toDisplayUnits("altitude", altFt) / altAxisMax) * (height - pad.top - pad.bottom);
+  const xSpeed = kt => pad.left + toDisplayUnits("windSpeed", kt) / maxSpeed * panelWidth;
+  const dirLeft = pad.left + panelWidth + gap;
+  const xDir = deg => dirLeft + deg / 360 * panelWidth;
+  const right = width - pad.right;
+
+  let html = "";
+
+  // Auto heading band, then exit / opening altitudes across both panels
+  html += `<rect class="chart-band" x="${pad.left}" y="${y(AUTO_HEADING_MAX_FT)}" width="${right - pad.left}" ` +
+    `height="${y(AUTO_HEADING_MIN_FT) - y(AUTO_HEADING_MAX_FT)}"><title>Auto heading band</title></rect>`;
+  [["Exit", jumper.exitAltFt, "chart-exit"], ["Open", jumper.openingAltFt, "chart-open"]].forEach(([label, altFt, cls]) => {
+    html += `<line class="${cls}" x1="${pad.left}" x2="${right}" y1="${y(altFt)}" y2="${y(altFt)}"/>`;
+    html += `<text class="chart-label ${cls}" x="${right - 2}" y="${y(altFt) - 2}" text-anchor="end">${label}</text>`;
+  });
+
+  // Cloud layers, shaded by cover
+  getCloudLayers(cloudsAloft).forEach(layer => {
+    const top = Math.min(layer.topFt, maxAltFt);
+    if (layer.baseFt >= top) return;
+    html += `<rect class="chart-cloud" x="${pad.left}" y="${y(top)}" width="${right - pad.left}" ` +
+      `height="${y(layer.baseFt) - y(top)}" fill-opacity="${(0.1 + layer.coverPct / 250).toFixed(2)}">` +
+      `<title>${describeCloudLayer(layer)}</title></rect>`;
+  });
+
+  // Axes and grid
+  for (let alt = 0; alt <= altAxisMax; alt += altStep) {
+    const altFt = fromDisplayUnits("altitude", alt);
+    html += `<line class="chart-grid" x1="${pad.left}" x2="${right}" y1="${y(altFt)}" y2="${y(altFt)}"/>`;
+    html += `<text class="chart-tick" x="${pad.left - 3}" y="${y(altFt) + 3}" text-anchor="end">${alt.toLocaleString()}</text>`;
+  }
+  [0, 0.5, 1].forEach(f => {
+    const speed = Math.round(maxSpeed * f);
+    html += `<text class="chart-tick" x="${pad.left + f * panelWidth}" y="${height - 10}" text-anchor="middle">${speed}</text>`;
+  });
+  [0, 90, 180, 270, 360].forEach(deg => {
+    html += `<line class="chart-grid" x1="${xDir(deg)}" x2="${xDir(deg)}" y1="${pad.top}" y2="${height - pad.bottom}"/>`;
+    html += `<text class="chart-tick" x="${xDir(deg)}" y="${height - 10}" text-anchor="middle">${deg}</text>`;
+  });
+  html += `<text class="chart-axis" x="${pad.left + panelWidth / 2}" y="${height - 1}" text-anchor="middle">Speed (${unitLabel("windSpeed")})</text>`;
+  html += `<text class="chart-axis" x="${dirLeft + panelWidth / 2}" y="${height - 1}" text-anchor="middle">Direction (°)</text>`;
+  html += `<text class="chart-axis" x="2" y="${pad.top + 2}">${unitLabel("altitude")}</text>`;
+
+  // Traces: ghost first so the current hour draws on top
+  [[ghost, "chart-ghost"], [winds, "chart-trace"]].forEach(([profile, cls]) => {
+    if (!profile || !profile.length) return;
+    html += svgPolyline(profile.map(w => [xSpeed(w.speedKt), y(w.altFt)]), cls);
+    directionSegments(profile, xDir, y).forEach(seg => { html += svgPolyline(seg, cls); });
+  });
+  winds.forEach(w => {
+    html += `<circle class="chart-point" cx="${xDir(w.dirDeg)}" cy="${y(w.altFt)}" r="2">` +
+      `<title>${formatUnits("altitude", w.altFt)}: ${Math.round(w.dirDeg)}° @ ${formatUnits("windSpeed", w.speedKt)}</title></circle>`;
+  });
+
+  svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+  svg.innerHTML = html;
+}
+
+function renderHodograph(svg, winds, ghost) {
+  const size = 240;
+  const center = size / 2;
+  const radius = center - 16;
+  const jumper = getDefaultJumperProfile();
+
+  const maxSpeed = niceAxisMax(Math.max(...winds.concat(ghost || []).map(w => toDisplayUnits("windSpeed", w.speedKt))), 10);
+  const ringStep = maxSpeed / 2;
+  const point = w => {
+    const { u, v } = windToComponents(w.dirDeg, toDisplayUnits("windSpeed", w.speedKt));
+    return [center + u / maxSpeed * radius, center - v / maxSpeed * radius];
+  };
+
+  let html = "";
+  for (let s = ringStep; s <= maxSpeed; s += ringStep) {
+    const r = s / maxSpeed * radius;
+    html += `<circle class="chart-grid" cx="${center}" cy="${center}" r="${r}" fill="none"/>`;
+    html += `<text class="chart-tick" x="${center + 2}" y="${center - r - 2}">${Math.round(s)} ${unitLabel("windSpeed")}</text>`;
+  }
+  html += `<line class="chart-grid" x1="${center}" x2="${center}" y1="${center - radius}" y2="${center + radius}"/>`;
+  html += `<line class="chart-grid" x1="${center - radius}" x2="${center + radius}" y1="${center}" y2="${center}"/>`;
+  [["N", center, 10], ["S", center, size - 2], ["E", size - 6, center + 3], ["W", 6, center + 3]].forEach(([label, x, yPos]) => {
+    html += `<text class="chart-tick" x="${x}" y="${yPos}" text-anchor="middle">${label}</text>`;
+  });
+
+  // Auto heading band highlighted along the current trace
+  const band = winds.filter(w => w.altFt >= AUTO_HEADING_MIN_FT && w.altFt <= AUTO_HEADING_MAX_FT);
+  if (ghost && ghost.length) html += svgPolyline(ghost.map(point), "chart-ghost");
+  html += svgPolyline(winds.map(point), "chart-trace");
+  html += svgPolyline(band.map(point), "chart-band-trace");
+
+  winds.forEach(w => {
+    const [x, yPos] = point(w);
+    html += `<circle class="chart-point" cx="${x}" cy="${yPos}" r="2">` +
+      `<title>${formatUnits("altitude", w.altFt)}: ${Math.round(w.dirDeg)}° @ ${formatUnits("windSpeed", w.speedKt)}</title></circle>`;
+  });
+  [["Exit", jumper.exitAltFt, "chart-exit"], ["Open", jumper.openingAltFt, "chart-open"]].forEach(([label, altFt, cls]) => {
+    const w = interpolateWind(winds, altFt);
+    const [x, yPos] = point(w);
+    html += `<circle class="chart-marker ${cls}" cx="${x}" cy="${yPos}" r="4"/>`;
+    html += `<text class="chart-label ${cls}" x="${x + 6}" y="${yPos + 3}">${label}</text>`;
+  });
+
+  svg.setAttribute("viewBox", `0 0 ${size} ${size}`);
+  svg.innerHTML = html;
+}
+
+function renderWindChart() {
+  if (!isWindChartOpen()) return;
+
+  const profileSvg = document.getElementById("wind-profile-chart");
+  const hodographSvg = document.getElementById("wind-hodograph");
+  const noteEl = document.getElementById("wind-chart-note");
+  if (!profileSvg || !hodographSvg) return;
+
+  if (!windsAloft.length) {
+    profileSvg.innerHTML = "";
+    hodographSvg.innerHTML = "";
+    if (noteEl) noteEl.textContent = "Waiting for winds…";
+    return;
+  }
+
+  const ghost = getPreviousForecastWinds();
+  renderWindProfileChart(profileSvg, windsAloft, ghost);
+  renderHodograph(hodographSvg, windsAloft, ghost);
+
+  if (noteEl) {
+    noteEl.textContent = `Shaded / bold: ${formatUnits("altitude", AUTO_HEADING_MIN_FT)}–${formatUnits("altitude", AUTO_HEADING_MAX_FT)} auto heading band` +
+      (ghost ? " • dashed: previous forecast hour" : "");
+  }
+}
+
+function initWindChartControls() {
+  const toggleBtn = document.getElementById("wind-chart-toggle");
+  if (!toggleBtn) return;
+
+  toggleBtn.addEventListener("click", () => {
+    document.getElementById("wind-chart").classList.toggle("hidden");
+    renderWindChart();
+  });
+}
+
+/* ================================
+   SETTINGS (runtime overrides of config.js)
+   config.js holds the defaults; edits are validated, saved to localStorage
+   and can be moved between devices as a JSON profile.
+=================================== */
+const SETTINGS_KEY = "dzSettings";
+const SETTINGS_PROFILE_VERSION = 1;
+const HEX_PATTERN = /^[0-9a-f]{6}$/;
+
+// Scalar settings shown in the form, grouped by fieldset
+// Fields with a `quantity` are stored in internal units and edited in the selected ones
+const SETTINGS_FIELDS = [
+  { key: "UNIT_SYSTEM", group: "Display", label: "Units", type: "select", options: UNIT_SYSTEMS,
+    get: () => UNIT_SYSTEM, set: v => { UNIT_SYSTEM = v; } },
+
+  { key: "DZ_NAME", group: "Dropzone", label: "Name", type: "text",
+    get: () => DZ_NAME, set: v => { DZ_NAME = v; } },
+  { key: "DZ_LAT", group: "Dropzone", label: "Latitude", min: -90, max: 90,
+    get: () => DZ_LAT, set: v => { DZ_LAT = v; } },
+  { key: "DZ_LON", group: "Dropzone", label: "Longitude", min: -180, max: 180,
+    get: () => DZ_LON, set: v => { DZ_LON = v; } },
+  { key: "DZ_ELEVATION_FT", group: "Dropzone", label: "Elevation", quantity: "altitude", unitNote: "MSL", min: -1500, max: 15000,
+    get: () => DZ_ELEVATION_FT, set: v => { DZ_ELEVATION_FT = v; } },
+  { key: "LANDING_TARGET_LAT", group: "Dropzone", label: "Landing target lat", min: -90, max: 90,
+    get: () => LANDING_TARGET_LAT, set: v => { LANDING_TARGET_LAT = v; } },
+  { key: "LANDING_TARGET_LON", group: "Dropzone", label: "Landing target lon", min: -180, max: 180,
+    get: () => LANDING_TARGET_LON, set: v => { LANDING_TARGET_LON = v; } },
+
+  { key: "EXIT_ALTITUDE_FT", group: "Skydiver & canopy", label: "Exit altitude", quantity: "altitude", unitNote: "AGL", min: 1000, max: 30000,
+    get: () => EXIT_ALTITUDE_FT, set: v => { EXIT_ALTITUDE_FT = v; } },
+  { key: "OPENING_ALTITUDE_FT", group: "Skydiver & canopy", label: "Opening altitude", quantity: "altitude", unitNote: "AGL", min: 1000, max: 15000,
+    get: () => OPENING_ALTITUDE_FT, set: v => { OPENING_ALTITUDE_FT = v; } },
+  { key: "FREEFALL_TERMINAL_VELOCITY_MPH", group: "Skydiver & canopy", label: "Freefall speed", quantity: "jumperSpeed", min: 40, max: 250,
+    get: () => FREEFALL_TERMINAL_VELOCITY_MPH, set: v => { FREEFALL_TERMINAL_VELOCITY_MPH = v; } },
+  { key: "CANOPY_DESCENT_RATE_MPH", group: "Skydiver & canopy", label: "Canopy descent", quantity: "jumperSpeed", min: 5, max: 40,
+    get: () => CANOPY_DESCENT_RATE_MPH, set: v => { CANOPY_DESCENT_RATE_MPH = v; } },
+  { key: "CANOPY_FORWARD_SPEED_MPH", group: "Skydiver & canopy", label: "Canopy forward speed", quantity: "jumperSpeed", min: 5, max: 60,
+    get: () => CANOPY_FORWARD_SPEED_MPH, set: v => { CANOPY_FORWARD_SPEED_MPH = v; } },
+
+  { key: "JUMP_RUN_LENGTH_MILES", group: "Jump run", label: "Run length", quantity: "distance", min: 0.1, max: 5,
+    get: () => JUMP_RUN_LENGTH_MILES, set: v => { JUMP_RUN_LENGTH_MILES = v; } },
+  { key: "JUMP_RUN_AIRSPEED_KNOTS", group: "Jump run", label: "Airspeed", quantity: "aircraftSpeed", min: 40, max: 200,
+    get: () => JUMP_RUN_AIRSPEED_KNOTS, set: v => { JUMP_RUN_AIRSPEED_KNOTS = v; } },
+  { key: "AIRPLANE_DRIFT_MILES", group: "Jump run", label: "Airplane drift", quantity: "distance", min: -2, max: 2,
+    get: () => AIRPLANE_DRIFT_MILES, set: v => { AIRPLANE_DRIFT_MILES = v; } },
+  { key: "LIGHT_TO_DOOR_MILES", group: "Jump run", label: "Light to door", quantity: "distance", min: -1, max: 1,
+    get: () => LIGHT_TO_DOOR_MILES, set: v => { LIGHT_TO_DOOR_MILES = v; } },
+
+  // Shear rates keep their 1000 ft basis in every unit system
+  { key: "SHEAR_DIRECTION_WARN_DEG_PER_1000FT", group: "Wind shear", label: "Direction change (° per 1000 ft ≈ 305 m)", min: 5, max: 180,
+    get: () => SHEAR_DIRECTION_WARN_DEG_PER_1000FT, set: v => { SHEAR_DIRECTION_WARN_DEG_PER_1000FT = v; } },
+  { key: "SHEAR_SPEED_WARN_KT_PER_1000FT", group: "Wind shear", label: "Speed change", quantity: "windSpeed", unitNote: "per 1000 ft ≈ 305 m", min: 2, max: 50,
+    get: () => SHEAR_SPEED_WARN_KT_PER_1000FT, set: v => { SHEAR_SPEED_WARN_KT_PER_1000FT = v; } },
+  { key: "SHEAR_OPPOSING_LAYER_DEG", group: "Wind shear", label: "Opposing layer (° off average)", min: 45, max: 180,
+    get: () => SHEAR_OPPOSING_LAYER_DEG, set: v => { SHEAR_OPPOSING_LAYER_DEG = v; } },
+
+  { key: "CLOUD_NO_GO_COVER_PCT", group: "Clouds", label: "No-go cover (%)", min: 10, max: 100,
+    get: () => CLOUD_NO_GO_COVER_PCT, set: v => { CLOUD_NO_GO_COVER_PCT = v; } },
+  { key: "CLOUD_CAUTION_COVER_PCT", group: "Clouds", label: "Caution cover (%)", min: 5, max: 100,
+    get: () => CLOUD_CAUTION_COVER_PCT, set: v => { CLOUD_CAUTION_COVER_PCT = v; } },
+  { key: "CLOUD_CLEARANCE_BELOW_FT", group: "Clouds", label: "Clearance below", quantity: "altitude", min: 0, max: 5000,
+    get: () => CLOUD_CLEARANCE_BELOW_FT, set: v => { CLOUD_CLEARANCE_BELOW_FT = v; } },
+  { key: "CLOUD_CLEARANCE_ABOVE_FT", group: "Clouds", label: "Clearance above", quantity: "altitude", min: 0, max: 5000,
+    get: () => CLOUD_CLEARANCE_ABOVE_FT, set: v => { CLOUD_CLEARANCE_ABOVE_FT = v; } },
+
+  // One group per jumper category in WIND_LIMIT_CATEGORIES
+  ...Object.entries(WIND_LIMIT_CATEGORIES).flatMap(([cat, category]) => [
+    ...Object.keys(WIND_LIMIT_LABELS).map(limit => ({
+      key: `WIND_LIMIT_${cat}_${limit}`, group: `Wind limits: ${category.label}`,
+      label: WIND_LIMIT_LABELS[limit], quantity: "windSpeed", min: 0, max: 100,
+      get: () => category[limit], set: v => { category[limit] = v; }
+    })),
+    { key: `WIND_LIMIT_${cat}_openingAltFt`, group: `Wind limits: ${category.label}`,
+      label: "Opening altitude", quantity: "altitude", unitNote: "AGL", min: 1000, max: 15000,
+      get: () => category.openingAltFt, set: v => { category.openingAltFt = v; } }
+  ])
+];
+
+// Current values of everything the panel edits (jump planes as hex list + tail and profile maps)
+function readSettings() {
+  const values = {};
+  SETTINGS_FIELDS.forEach(f => { values[f.key] = f.get(); });
+  values.JUMP_PLANE_HEXES = JUMP_PLANE_HEXES.slice();
+  values.HEX_TO_TAIL = { ...HEX_TO_TAIL };
+  values.AIRCRAFT_BY_TAIL = { ...AIRCRAFT_BY_TAIL };
+  return values;
+}
+
+const SETTINGS_DEFAULTS = readSettings();
+
+// Label with the unit it is edited in, e.g. "Exit altitude (m AGL)"
+function settingsFieldLabel(f) {
+  if (!f.quantity) return f.label;
+  return `${f.label} (${unitLabel(f.quantity)}${f.unitNote ? " " + f.unitNote : ""})`;
+}
+
+// Internal value -> number shown in the form
+function settingsDisplayValue(f, value) {
+  return f.quantity ? Number(toDisplayUnits(f.quantity, value).toFixed(4)) : value;
+}
+
+// Returns a list of error messages; only keys present in `values` are checked
+function validateSettings(values) {
+  const errors = [];
+
+  SETTINGS_FIELDS.forEach(f => {
+    if (!(f.key in values)) return;
+    const v = values[f.key];
+    const label = settingsFieldLabel(f);
+    if (f.type === "text") {
+      if (typeof v !== "string" || !v.trim()) errors.push(`${label} is required`);
+    } else if (f.type === "select") {
+      if (!Object.prototype.hasOwnProperty.call(f.options, v)) errors.push(`${label} must be one of ${Object.keys(f.options).join(", ")}`);
+    } else if (typeof v !== "number" || !Number.isFinite(v)) {
+      errors.push(`${label} must be a number`);
+    } else if (v < f.min || v > f.max) {
+      const range = [f.min, f.max].map(x => Number(settingsDisplayValue(f, x).toFixed(2)));
+      errors.push(`${label} must be between ${range[0]} and ${range[1]}`);
+    }
+  });
+
+  if ("JUMP_PLANE_HEXES" in values) {
+    const hexes = values.JUMP_PLANE_HEXES;
+    if (!Array.isArray(hexes)) {
+      errors.push("Jump planes must be a list of hex codes");
+    } else {
+      hexes.filter(h => !HEX_PATTERN.test(h)).forEach(h => {
+        errors.push(`"${h}" is not a 6-digit lowercase ICAO hex code`);
+      });
+      if (new Set(hexes).size !== hexes.length) errors.push("Jump plane hex codes must be unique");
+    }
+  }
+  if ("HEX_TO_TAIL" in values) {
+    const tails = values.HEX_TO_TAIL;
+    if (!tails || typeof tails !== "object" || Array.isArray(tails) ||
+        Object.values(tails).some(t => typeof t !== "string")) {
+      errors.push("Tail numbers must map hex codes to text");
+    }
+  }
+  if ("AIRCRAFT_BY_TAIL" in values) {
+    const byTail = values.AIRCRAFT_BY_TAIL;
+    if (!byTail || typeof byTail !== "object" || Array.isArray(byTail)) {
+      errors.push("Aircraft types must map tail numbers to profiles");
+    } else {
+      Object.entries(byTail).filter(([, key]) => !AIRCRAFT_PROFILES[key]).forEach(([tail, key]) => {
+        errors.push(`${tail}: unknown aircraft type "${key}" (one of ${Object.keys(AIRCRAFT_PROFILES).join(", ")})`);
+      });
+    }
+  }
+
+  const merged = { ...readSettings(), ...values };
+  if (merged.OPENING_ALTITUDE_FT >= merged.EXIT_ALTITUDE_FT) {
+    errors.push("Opening altitude must be below exit altitude");
+  }
+  if (merged.CLOUD_CAUTION_COVER_PCT > merged.CLOUD_NO_GO_COVER_PCT) {
+    errors.push("Caution cloud cover must not exceed no-go cover");
+  }
+
+  return errors;
+}
+
+function applySettings(values) {
+  SETTINGS_FIELDS.forEach(f => {
+    if (f.key in values) f.set(values[f.key]);
+  });
+  if ("JUMP_PLANE_HEXES" in values) JUMP_PLANE_HEXES = values.JUMP_PLANE_HEXES.slice();
+  if ("HEX_TO_TAIL" in values) HEX_TO_TAIL = { ...values.HEX_TO_TAIL };
+  if ("AIRCRAFT_BY_TAIL" in values) AIRCRAFT_BY_TAIL = { ...values.AIRCRAFT_BY_TAIL };
+}
+
+// Only values that differ from config.js are stored, so new defaults still come through
+function saveSettings() {
+  const current = readSettings();
+  const overrides = {};
+  Object.keys(current).forEach(key => {
+    if (JSON.stringify(current[key]) !== JSON.stringify(SETTINGS_DEFAULTS[key])) {
+      overrides[key] = current[key];
+    }
+  });
+
+  try {
+    if (Object.keys(overrides).length) {
+      localStorage.setItem(SETTINGS_KEY, JSON.stringify(overrides));
+    } else {
+      localStorage.removeItem(SETTINGS_KEY);
+    }
+  } catch (err) {
+    console.error("Failed to save settings:", err);
+    showBanner("Settings could not be saved in this browser", "warning", 5000);
+  }
+}
+
+// Runs before the map is built so the saved DZ is used from the start
+function loadStoredSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    if (!saved) return;
+
+    const errors = validateSettings(saved);
+    if (errors.length) {
+      console.error("Ignoring invalid saved settings:", errors);
+      return;
+    }
+    applySettings(saved);
+  } catch (err) {
+    console.error("Failed to load settings:", err);
+  }
+}
+
+loadStoredSettings();
+
+// Everything that captured DZ-specific values at startup
+function refreshAfterSettingsChange(previous) {
+  updateDzDisplay();
+
+  const dzMoved = previous.DZ_LAT !== DZ_LAT || previous.DZ_LON !== DZ_LON;
+  if (dzMoved) {
+    dzMarker.setLatLng([DZ_LAT, DZ_LON]);
+    drawJumpRunConstraints();
+    map.setView([DZ_LAT, DZ_LON], map.getZoom());
+  }
+
+  Object.values(flightTrackers).forEach(t => {
+    t.tail = HEX_TO_TAIL[t.hex] || t.tail;
+  });
+
+  updateAircraftProfileDisplay();
+  autoUpdateHeadingFromWinds();
+  renderJumpPlaneStatus();
+  renderWindsTable();
+
+  if (previous.UNIT_SYSTEM !== UNIT_SYSTEM) {
+    // Saved manual winds are typed in display units; keep their meaning
+    const manualText = getWindSourceText("manual");
+    if (manualText) setWindSourceText("manual", convertManualWindsText(manualText, previous.UNIT_SYSTEM));
+    refreshUnitDisplays();
+  }
+
+  // Winds are location/elevation specific
+  if (dzMoved || previous.DZ_ELEVATION_FT !== DZ_ELEVATION_FT) {
+    fetchWinds();
+  }
+}
+
+// Re-render everything that shows converted values
+function refreshUnitDisplays() {
+  updateUnitLabels();
+  renderWindsTable();
+  updateJumpRun();
+  updateAircraftProfileDisplay();
+  updateWindSourceEntry();
+  if (isWindComparisonOpen()) renderWindComparison();
+  renderLoadLog();
+  renderConflictPanel(getActiveJumpPlane());
+
+  // Re-open the review so its stats pick up the new units
+  if (reviewedLoadId !== null) {
+    getLoadRecords().then(loads => {
+      const record = loads.find(r => r.id === reviewedLoadId);
+      if (record) showLoadReview(record);
+    });
+  }
+}
+
+function formatPlanesText(hexes, tails, byTail) {
+  return hexes.map(hex => `${hex} ${tails[hex] || ""} ${byTail[tails[hex]] || ""}`.trim()).join("\n");
+}
+
+// "hex tail type" per line -> { JUMP_PLANE_HEXES, HEX_TO_TAIL, AIRCRAFT_BY_TAIL }
+function parsePlanesText(text) {
+  const hexes = [];
+  const tails = {};
+  const byTail = {};
+  text.split("\n").map(l => l.trim()).filter(Boolean).forEach(line => {
+    const [hex, tail, type] = line.split(/[\s,]+/);
+    hexes.push(hex.toLowerCase());
+    if (tail) tails[hex.toLowerCase()] = tail.toUpperCase();
+    if (tail && type) byTail[tail.toUpperCase()] = type.toLowerCase();
+  });
+  return { JUMP_PLANE_HEXES: hexes, HEX_TO_TAIL: tails, AIRCRAFT_BY_TAIL: byTail };
+}
+
+function renderSettingsForm() {
+  const container = document.getElementById("settings-fields");
+  if (!container) return;
+
+  const groups = {};
+  SETTINGS_FIELDS.forEach(f => {
+    (groups[f.group] = groups[f.group] || []).push(f);
+  });
+
+  container.innerHTML = "";
+  Object.entries(groups).forEach(([group, fields]) => {
+    const fieldset = document.createElement("fieldset");
+    fieldset.className = "settings-group";
+    fieldset.innerHTML = `<legend>${group}</legend>`;
+
+    fields.forEach(f => {
+      const label = document.createElement("label");
+      label.className = "settings-field";
+      let input;
+      if (f.type === "select") {
+        input = document.createElement("select");
+        input.className = "wind-source-select";
+        Object.entries(f.options).forEach(([value, option]) => {
+          input.add(new Option(option.label, value));
+        });
+      } else {
+        input = document.createElement("input");
+        input.type = f.type === "text" ? "text" : "number";
+        if (input.type === "number") input.step = "any";
+      }
+      input.dataset.key = f.key;
+      input.value = settingsDisplayValue(f, f.get());
+      // Remembered so an untouched field keeps its exact stored value
+      input.dataset.shown = input.value;
+      label.append(settingsFieldLabel(f), input);
+      fieldset.appendChild(label);
+    });
+
+    container.appendChild(fieldset);
+  });
+
+  const planes = document.createElement("fieldset");
+  planes.className = "settings-group";
+  planes.innerHTML = `
+    <legend>Jump planes</legend>
+    <div class="small">One per line: ICAO hex, tail number, then optional aircraft type (${Object.keys(AIRCRAFT_PROFILES).join(", ")})</div>
+    <textarea id="settings-planes" rows="4"></textarea>
+  `;
+  container.appendChild(planes);
+  document.getElementById("settings-planes").value = formatPlanesText(JUMP_PLANE_HEXES, HEX_TO_TAIL, AIRCRAFT_BY_TAIL);
+}
+
+function readSettingsForm() {
+  const values = {};
+  document.querySelectorAll("#settings-fields [data-key]").forEach(input => {
+    const field = SETTINGS_FIELDS.find(f => f.key === input.dataset.key);
+    if (field.type === "text" || field.type === "select") {
+      values[field.key] = input.value.trim();
+    } else if (input.value.trim() === "") {
+      values[field.key] = NaN;
+    } else if (field.quantity && input.value === input.dataset.shown) {
+      values[field.key] = field.get();
+    } else {
+      const v = Number(input.value);
+      values[field.key] = field.quantity ? fromDisplayUnits(field.quantity, v) : v;
+    }
+  });
+  return { ...values, ...parsePlanesText(document.getElementById("settings-planes").value) };
+}
+
+function showSettingsErrors(errors) {
+  const el = document.getElementById("settings-errors");
+  if (!el) return;
+  el.innerHTML = errors.map(e => `<div>⚠ ${e}</div>`).join("");
+  el.classList.toggle("hidden", errors.length === 0);
+}
+
+// Validate, apply, persist and refresh; returns false if anything was rejected
+function commitSettings(values) {
+  const errors = validateSettings(values);
+  showSettingsErrors(errors);
+  if (errors.length) return false;
+
+  const previous = readSettings();
+
+  // A landing target left on the old DZ moves with it
+  const targetWasDz = previous.LANDING_TARGET_LAT === previous.DZ_LAT &&
+    previous.LANDING_TARGET_LON === previous.DZ_LON;
+  const targetUnchanged = (values.LANDING_TARGET_LAT ?? previous.LANDING_TARGET_LAT) === previous.LANDING_TARGET_LAT &&
+    (values.LANDING_TARGET_LON ?? previous.LANDING_TARGET_LON) === previous.LANDING_TARGET_LON;
+  if (targetWasDz && targetUnchanged) {
+    values = {
+      ...values,
+      LANDING_TARGET_LAT: values.DZ_LAT ?? previous.DZ_LAT,
+      LANDING_TARGET_LON: values.DZ_LON ?? previous.DZ_LON
+    };
+  }
+
+  applySettings(values);
+  saveSettings();
+  renderSettingsForm();
+  refreshAfterSettingsChange(previous);
+  return true;
+}
+
+function exportSettingsProfile() {
+  const profile = {
+    version: SETTINGS_PROFILE_VERSION,
+    exported: new Date().toISOString(),
+    settings: readSettings()
+  };
+  const blob = new Blob([JSON.stringify(profile, null, 2)], { type: "application/json" });
+  downloadBlob(blob, `dz-settings-${DZ_NAME.toLowerCase().replace(/[^a-z0-9]+/g, "-")}.json`);
+}
+
+async function importSettingsProfile(file) {
+  try {
+    const profile = JSON.parse(await file.text());
+    const settings = profile && profile.settings;
+    if (!settings || typeof settings !== "object") {
+      throw new Error("Not a settings profile (missing \"settings\")");
+    }
+
+    // Ignore keys this version doesn't know about
+    const known = Object.keys(SETTINGS_DEFAULTS);
+    const values = {};
+    Object.keys(settings).forEach(key => {
+      if (known.includes(key)) values[key] = settings[key];
+      else console.warn(`Ignoring unknown setting "${key}" in profile`);
     });
-    updatedEl.textContent = `Updated ${timeStr}`;
+
+    if (commitSettings(values)) {
+      showBanner(`Settings imported from ${file.name}`, "success", 4000);
+    } else {
+      showBanner(`Profile ${file.name} rejected: ${validateSettings(values)[0]}`, "error", 8000);
+    }
+  } catch (err) {
+    console.error("Failed to import settings:", err);
+    showBanner(`Failed to import settings: ${err.message}`, "error", 8000);
+  }
+}
+
+function initSettingsControls() {
+  const panel = document.getElementById("settings-panel");
+  const toggleBtn = document.getElementById("settings-toggle");
+  const form = document.getElementById("settings-form");
+  if (!panel || !toggleBtn || !form) return;
+
+  toggleBtn.addEventListener("click", () => {
+    const opening = panel.classList.contains("hidden");
+    panel.classList.toggle("hidden", !opening);
+    toggleBtn.textContent = opening ? "Close" : "Edit";
+    if (opening) {
+      renderSettingsForm();
+      showSettingsErrors([]);
+    }
+  });
+
+  form.addEventListener("submit", e => {
+    e.preventDefault();
+    if (commitSettings(readSettingsForm())) {
+      showBanner("Settings saved", "success", 3000);
+    }
+  });
+
+  document.getElementById("settings-reset").addEventListener("click", () => {
+    if (!confirm("Reset all settings to the config.js defaults?")) return;
+    commitSettings({ ...SETTINGS_DEFAULTS });
+    showBanner("Settings reset to defaults", "success", 3000);
+  });
+
+  document.getElementById("settings-export").addEventListener("click", exportSettingsProfile);
+
+  const fileInput = document.getElementById("settings-import-file");
+  document.getElementById("settings-import").addEventListener("click", () => fileInput.click());
+  fileInput.addEventListener("change", () => {
+    if (fileInput.files[0]) importSettingsProfile(fileInput.files[0]);
+    fileInput.value = "";
+  });
+}
+
+/* ================================
+   MAP + JUMP RUN
+=================================== */
+function updateDzDisplay() {
+  document.getElementById("dz-name").textContent = DZ_NAME;
+  document.getElementById("dz-lat").textContent = DZ_LAT.toFixed(5);
+  document.getElementById("dz-lon").textContent = DZ_LON.toFixed(5);
+
+  const tailsEl = document.getElementById("aircraft-tails");
+  if (tailsEl) {
+    tailsEl.textContent = JUMP_PLANE_HEXES.map(hex => HEX_TO_TAIL[hex] || hex.toUpperCase()).join(" / ") || "none";
+  }
+}
+
+updateDzDisplay();
+
+// Init map centered on DZ with zoom 15
+const map = L.map("map").setView([DZ_LAT, DZ_LON], 15);
+
+// SATELLITE TILES (Esri World Imagery)
+L.tileLayer(
+  "https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}",
+  {
+    maxZoom: 19,
+    attribution: "Tiles © Esri — Source: Esri, Maxar, Earthstar Geographics"
+  }
+).addTo(map);
+
+// Custom dropzone marker with pulsing effect
+const dzIcon = L.divIcon({
+  className: "dz-marker-icon",
+  html: '<div class="dz-marker-outer"><div class="dz-marker-inner">🎯</div></div>',
+  iconSize: [40, 40],
+  iconAnchor: [20, 20]
+});
+
+const dzMarker = L.marker([DZ_LAT, DZ_LON], { icon: dzIcon })
+  .addTo(map);
+
+let jumpRunGroup = null;
+
+function updateJumpRun() {
+  const heading = Number.isFinite(currentHeadingDeg) ? currentHeadingDeg : 270;
+
+  // Calculate ground speed and exit separation
+  computeGroundSpeedAndSeparation(heading);
+
+  const offset = jumpRunOffsetMiles || 0;
+  const runMiles = getActiveAircraftProfile().jumpRunLengthMiles;
+
+  const sStart = offset;
+  const sEnd   = offset + runMiles;
+
+  const startPointObj = pointOnRun(sStart, heading);
+  const endPointObj   = pointOnRun(sEnd, heading);
+
+  const startLatLng = [startPointObj.lat, startPointObj.lon];
+  const endLatLng   = [endPointObj.lat, endPointObj.lon];
+
+  if (jumpRunGroup) {
+    map.removeLayer(jumpRunGroup);
+  }
+
+  // Enhanced jump run with glow effect (outer glow + inner line)
+  const glowLine = L.polyline([startLatLng, endLatLng], {
+    weight: 10,
+    color: "#4caf50",
+    opacity: 0.3,
+    className: "jump-run-glow"
+  });
+
+  const mainLine = L.polyline([startLatLng, endLatLng], {
+    weight: 5,
+    color: "#76ff03",
+    opacity: 0.95,
+    className: "jump-run-main"
+  });
+
+  const arrowLenMeters = runMiles * METERS_PER_MILE * 0.12;
+  const tipLat = endPointObj.lat;
+  const tipLon = endPointObj.lon;
+
+  const left = destinationPoint(tipLat, tipLon, heading - 150, arrowLenMeters);
+  const right = destinationPoint(tipLat, tipLon, heading + 150, arrowLenMeters);
+
+  const arrowGlowLeft = L.polyline(
+    [[tipLat, tipLon], [left.lat, left.lon]],
+    { weight: 10, color: "#4caf50", opacity: 0.3, className: "jump-run-glow" }
+  );
+  const arrowGlowRight = L.polyline(
+    [[tipLat, tipLon], [right.lat, right.lon]],
+    { weight: 10, color: "#4caf50", opacity: 0.3, className: "jump-run-glow" }
+  );
+
+  const arrowLeft = L.polyline(
+    [[tipLat, tipLon], [left.lat, left.lon]],
+    { weight: 5, color: "#76ff03", opacity: 0.95, className: "jump-run-main" }
+  );
+  const arrowRight = L.polyline(
+    [[tipLat, tipLon], [right.lat, right.lon]],
+    { weight: 5, color: "#76ff03", opacity: 0.95, className: "jump-run-main" }
+  );
+
+  jumpRunGroup = L.layerGroup([
+    glowLine, mainLine,
+    arrowGlowLeft, arrowGlowRight,
+    arrowLeft, arrowRight
+  ]).addTo(map);
+
+  // Map stays centered on DZ at zoom 15
+
+  const summaryEl = document.getElementById("jump-run-summary");
+  const groundSpeedEl = document.getElementById("ground-speed-summary");
+  const updatedEl = document.getElementById("jump-run-updated");
+
+  if (summaryEl) {
+    const headingStr = Math.round(heading);
+    const offStr = formatOffsetMiles(jumpRunOffsetMiles || 0);
+    // Shifted sideways to pass over a landing area off the DZ axis
+    const axisCross = getRunCrossOffsetMiles(heading);
+    const crossStr = Math.abs(axisCross) >= 0.01 ? ` • ${formatSignedMiles(axisCross, "R", "L")} of DZ` : "";
+    summaryEl.textContent = `${headingStr}° @ ${offStr}${crossStr}`;
+  }
+
+  if (groundSpeedEl) {
+    const groundSpeedStr = formatUnits("aircraftSpeed", jumpRunGroundSpeedKnots);
+    const separationStr = exitSeparationSeconds;
+    groundSpeedEl.textContent = `${groundSpeedStr} • ${separationStr} sec`;
+  }
+
+  if (updatedEl) {
+    const now = new Date();
+    const timeStr = now.toLocaleTimeString([], {
+      hour: "2-digit",
+      minute: "2-digit"
+    });
+    const entry = forecastOffsetHours > 0 ? getForecastEntry(forecastOffsetHours) : null;
+    updatedEl.textContent = entry
+      ? `Planned for ${formatForecastTime(entry.time)} • Updated ${timeStr}`
+      : `Updated ${timeStr}`;
+  }
+
+  updateJumpRunHandles(startLatLng, endLatLng);
+  updateJumpRunOverrideDisplay();
+  updateExitPlan(heading);
+  updateSpotFootprint(heading);
+  updateCanopyReach(heading);
+  updateLandingPattern();
+}
+
+/* ================================
+   MANUAL JUMP RUN OVERRIDE
+   Drag handles on the map or typed values in the Jump Run card
+=================================== */
+const JUMP_RUN_OVERRIDE_KEY = "jumpRunOverride";
+const MAX_MANUAL_OFFSET_MILES = 4.0;
+
+// Latest auto-computed solution, shown for reference while overridden
+let autoHeadingDeg = null;
+let autoOffsetMiles = null;
+
+let greenLightHandle = null;
+let rotateHandle = null;
+let draggingHandle = null; // handle currently being dragged (left where the user holds it)
+
+function setManualJumpRun(headingDeg, offsetMiles) {
+  currentHeadingDeg = ((Math.round(headingDeg) % 360) + 360) % 360;
+  jumpRunOffsetMiles = Math.max(-MAX_MANUAL_OFFSET_MILES,
+    Math.min(MAX_MANUAL_OFFSET_MILES, Math.round(offsetMiles * 100) / 100));
+  jumpRunSource = "manual";
+
+  try {
+    localStorage.setItem(JUMP_RUN_OVERRIDE_KEY, JSON.stringify({
+      headingDeg: currentHeadingDeg,
+      offsetMiles: jumpRunOffsetMiles
+    }));
+  } catch (err) {
+    console.error("Failed to save jump run override:", err);
+  }
+
+  updateJumpRun();
+}
+
+function revertJumpRunToAuto() {
+  try {
+    localStorage.removeItem(JUMP_RUN_OVERRIDE_KEY);
+  } catch (err) {
+    console.error("Failed to clear jump run override:", err);
+  }
+  jumpRunSource = "auto-winds";
+
+  if (autoHeadingDeg !== null) {
+    currentHeadingDeg = autoHeadingDeg;
+    jumpRunOffsetMiles = autoOffsetMiles;
+  }
+  // The auto solve redraws; without usable winds draw the restored values
+  if (!autoUpdateHeadingFromWinds()) updateJumpRun();
+}
+
+// Restore an override that was active before a reload
+function loadJumpRunOverride() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(JUMP_RUN_OVERRIDE_KEY));
+    if (saved && Number.isFinite(saved.headingDeg) && Number.isFinite(saved.offsetMiles)) {
+      currentHeadingDeg = saved.headingDeg;
+      jumpRunOffsetMiles = saved.offsetMiles;
+      jumpRunSource = "manual";
+    }
+  } catch (err) {
+    console.error("Failed to load jump run override:", err);
+  }
+}
+
+// Signed distance (miles) of a point along the jump run axis through the DZ
+function alongRunMiles(lat, lon, headingDeg) {
+  const p = offsetFromDz(lat, lon);
+  const rad = headingDeg * Math.PI / 180;
+  return p.x * Math.sin(rad) + p.y * Math.cos(rad);
+}
+
+function createJumpRunHandle(html, title) {
+  const icon = L.divIcon({
+    className: "jump-run-handle",
+    html: `<div class="jump-run-handle-inner" title="${title}">${html}</div>`,
+    iconSize: [22, 22],
+    iconAnchor: [11, 11]
+  });
+  return L.marker([DZ_LAT, DZ_LON], { icon, draggable: true, zIndexOffset: 1000 }).addTo(map);
+}
+
+function updateJumpRunHandles(startLatLng, endLatLng) {
+  if (!greenLightHandle) {
+    // Slide the green light along the current axis
+    greenLightHandle = createJumpRunHandle("●", "Drag to move the green light");
+    greenLightHandle.on("dragstart", () => { draggingHandle = greenLightHandle; });
+    greenLightHandle.on("drag", e => {
+      const pos = e.target.getLatLng();
+      setManualJumpRun(currentHeadingDeg, alongRunMiles(pos.lat, pos.lng, currentHeadingDeg));
+    });
+    greenLightHandle.on("dragend", () => {
+      draggingHandle = null;
+      updateJumpRun();
+    });
+
+    // Rotate the run about the green light, keeping the axis over the landing target
+    rotateHandle = createJumpRunHandle("⟳", "Drag to rotate the jump run");
+    rotateHandle.on("dragstart", () => { draggingHandle = rotateHandle; });
+    rotateHandle.on("drag", e => {
+      const pos = e.target.getLatLng();
+      const start = pointOnRun(jumpRunOffsetMiles || 0, currentHeadingDeg);
+      const heading = bearingDeg(start.lat, start.lon, pos.lat, pos.lng);
+      setManualJumpRun(heading, alongRunMiles(start.lat, start.lon, Math.round(heading)));
+    });
+    rotateHandle.on("dragend", () => {
+      draggingHandle = null;
+      updateJumpRun();
+    });
+  }
+
+  if (draggingHandle !== greenLightHandle) greenLightHandle.setLatLng(startLatLng);
+  if (draggingHandle !== rotateHandle) rotateHandle.setLatLng(endLatLng);
+}
+
+function updateJumpRunOverrideDisplay() {
+  const sourceEl = document.getElementById("jump-run-source");
+  const revertBtn = document.getElementById("override-revert");
+  const headingInput = document.getElementById("override-heading");
+  const offsetInput = document.getElementById("override-offset");
+
+  // Don't fight someone who is typing
+  if (headingInput && document.activeElement !== headingInput) {
+    headingInput.value = Math.round(currentHeadingDeg);
+  }
+  if (offsetInput && document.activeElement !== offsetInput) {
+    offsetInput.value = formatUnitValue("distance", jumpRunOffsetMiles || 0);
+  }
+
+  if (revertBtn) {
+    revertBtn.disabled = jumpRunSource !== "manual";
+  }
+
+  if (!sourceEl) return;
+
+  if (jumpRunSource === "manual") {
+    const autoStr = autoHeadingDeg !== null
+      ? `${autoHeadingDeg}° @ ${formatOffsetMiles(autoOffsetMiles)}`
+      : "--";
+    sourceEl.innerHTML = `<span class="status-badge status-warning">🔒 Manual override</span> Auto: ${autoStr}`;
+  } else {
+    sourceEl.innerHTML = `<span class="status-badge status-good">Auto</span> From winds 5k–14k`;
+  }
+  updateConstraintDisplay();
+}
+
+function initJumpRunOverrideControls() {
+  const applyBtn = document.getElementById("override-apply");
+  const revertBtn = document.getElementById("override-revert");
+  const headingInput = document.getElementById("override-heading");
+  const offsetInput = document.getElementById("override-offset");
+  if (!applyBtn || !revertBtn || !headingInput || !offsetInput) return;
+
+  const apply = () => {
+    const heading = parseFloat(headingInput.value);
+    const offset = fromDisplayUnits("distance", parseFloat(offsetInput.value));
+    if (!Number.isFinite(heading) || heading < 0 || heading > 360 || !Number.isFinite(offset)) {
+      showBanner(`Enter a heading between 0 and 360° and an offset in ${unitLabel("distance")}.`, 'warning', 5000);
+      return;
+    }
+    headingInput.blur();
+    offsetInput.blur();
+    setManualJumpRun(heading, offset);
+  };
+
+  applyBtn.addEventListener("click", apply);
+  [headingInput, offsetInput].forEach(input => {
+    input.addEventListener("keydown", e => {
+      if (e.key === "Enter") apply();
+    });
+  });
+  revertBtn.addEventListener("click", revertJumpRunToAuto);
+}
+
+/* ================================
+   JUMP RUN CONSTRAINTS
+   Allowed heading sectors, preferred runway-aligned headings and
+   no-fly polygons (GeoJSON) the auto heading has to respect
+=================================== */
+let constraintsGroup = L.layerGroup().addTo(map);
+
+// Latest solver result: { headingDeg, offsetMiles, idealHeadingDeg, rejections, legal }
+let jumpRunSolution = null;
+
+// Clockwise width of a [from, to] sector; 360 or more (e.g. [0, 360]) is the full circle
+function sectorSpanDeg([from, to]) {
+  return to - from >= 360 ? 360 : (to - from + 360) % 360;
+}
+
+function isHeadingInSectors(headingDeg) {
+  if (!JUMP_RUN_ALLOWED_SECTORS.length) return true;
+  return JUMP_RUN_ALLOWED_SECTORS.some(sector =>
+    (headingDeg - sector[0] + 360) % 360 <= sectorSpanDeg(sector));
+}
+
+// No-fly features as named polygons of rings in local miles ({ x, y } from the DZ)
+function getNoFlyPolygons() {
+  const polygons = [];
+  (JUMP_RUN_NO_FLY_AREAS.features || []).forEach((feature, i) => {
+    const geom = feature.geometry || {};
+    const name = (feature.properties && feature.properties.name) || `No-fly area ${i + 1}`;
+    const parts = geom.type === "Polygon" ? [geom.coordinates]
+      : geom.type === "MultiPolygon" ? geom.coordinates : [];
+    parts.forEach(rings => {
+      polygons.push({ name, rings: rings.map(ring => ring.map(([lon, lat]) => offsetFromDz(lat, lon))) });
+    });
+  });
+  return polygons;
+}
+
+function pointInRing(p, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const a = ring[i];
+    const b = ring[j];
+    if ((a.y > p.y) !== (b.y > p.y) && p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function segmentsIntersect(p1, p2, q1, q2) {
+  const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+  const d1 = cross(q1, q2, p1);
+  const d2 = cross(q1, q2, p2);
+  const d3 = cross(p1, p2, q1);
+  const d4 = cross(p1, p2, q2);
+  return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0));
+}
+
+// Polygon (outer ring minus holes) touched by the segment a-b
+function segmentHitsPolygon(a, b, polygon) {
+  const [outer, ...holes] = polygon.rings;
+  const inside = p => pointInRing(p, outer) && !holes.some(hole => pointInRing(p, hole));
+  if (inside(a) || inside(b)) return true;
+  return polygon.rings.some(ring =>
+    ring.some((q, i) => i > 0 && segmentsIntersect(a, b, ring[i - 1], q)));
+}
+
+// Reasons a jump run (green light to end of run) is not allowed; empty when legal
+function checkJumpRunConstraints(headingDeg, offsetMiles, polygons = getNoFlyPolygons()) {
+  const reasons = [];
+  if (!isHeadingInSectors(headingDeg)) {
+    reasons.push(`${headingDeg}° is outside the allowed headings`);
+  }
+
+  const runMiles = getActiveAircraftProfile().jumpRunLengthMiles;
+  const start = pointOnRun(offsetMiles, headingDeg);
+  const end = pointOnRun(offsetMiles + runMiles, headingDeg);
+  const a = offsetFromDz(start.lat, start.lon);
+  const b = offsetFromDz(end.lat, end.lon);
+  polygons.filter(polygon => segmentHitsPolygon(a, b, polygon)).forEach(polygon => {
+    if (!reasons.includes(`crosses ${polygon.name}`)) reasons.push(`crosses ${polygon.name}`);
+  });
+  return reasons;
+}
+
+const JUMP_RUN_OFFSET_SEARCH_STEP_MILES = 0.05;
+
+// Green light slides to try for one heading: none first, then alternately later and earlier
+function getOffsetSlidesMiles() {
+  const slides = [0];
+  for (let s = JUMP_RUN_OFFSET_SEARCH_STEP_MILES; s <= JUMP_RUN_OFFSET_SEARCH_MILES + 1e-9; s += JUMP_RUN_OFFSET_SEARCH_STEP_MILES) {
+    slides.push(s, -s);
+  }
+  return slides;
+}
+
+// Best legal heading and offset: a preferred heading near the ideal, else the legal heading
+// closest to the ideal; each heading may slide its green light a little to clear no-fly areas.
+// Falls back to the ideal when nothing is legal.
+function solveJumpRunHeading(winds) {
+  const ideal = computeHeadingFromWinds(winds);
+  if (ideal === null) return null;
+
+  const polygons = getNoFlyPolygons();
+  const unconstrained = !JUMP_RUN_ALLOWED_SECTORS.length && !polygons.length &&
+    !JUMP_RUN_PREFERRED_HEADINGS.length;
+  const idealOffset = computeOffsetMiles(ideal, winds);
+  if (unconstrained) {
+    return { headingDeg: ideal, offsetMiles: idealOffset, idealHeadingDeg: ideal, slideMiles: 0, rejections: [], legal: true };
+  }
+
+  const slides = polygons.length ? getOffsetSlidesMiles() : [0];
+  const rejections = checkJumpRunConstraints(ideal, idealOffset, polygons);
+  const candidates = JUMP_RUN_PREFERRED_HEADINGS
+    .filter(h => angleDiffDeg(h, ideal) <= JUMP_RUN_PREFERRED_TOLERANCE_DEG)
+    .sort((a, b) => angleDiffDeg(a, ideal) - angleDiffDeg(b, ideal));
+  for (let d = 0; d <= 180; d++) {
+    candidates.push((ideal + d) % 360);
+    if (d > 0 && d < 180) candidates.push((ideal - d + 360) % 360);
+  }
+
+  for (const heading of candidates) {
+    if (!isHeadingInSectors(heading)) continue;
+    const offset = heading === ideal ? idealOffset : computeOffsetMiles(heading, winds);
+    const slideMiles = slides.find(slide => !checkJumpRunConstraints(heading, offset + slide, polygons).length);
+    if (slideMiles !== undefined) {
+      return { headingDeg: heading, offsetMiles: offset + slideMiles, idealHeadingDeg: ideal, slideMiles, rejections, legal: true };
+    }
+  }
+
+  return { headingDeg: ideal, offsetMiles: idealOffset, idealHeadingDeg: ideal, slideMiles: 0, rejections, legal: false };
+}
+
+// Why the auto heading differs from the ideal, or what the current (manual) run violates
+function updateConstraintDisplay() {
+  const el = document.getElementById("jump-run-constraints");
+  if (!el) return;
+
+  const lines = [];
+  if (jumpRunSolution) {
+    const { headingDeg, idealHeadingDeg, slideMiles, rejections, legal } = jumpRunSolution;
+    const why = rejections.length ? ` (${rejections.join(", ")})` : " (preferred heading)";
+    if (!legal) {
+      lines.push(`⚠ No legal heading: ideal ${idealHeadingDeg}° ${rejections.join(", ")}`);
+    } else if (headingDeg !== idealHeadingDeg) {
+      lines.push(`Ideal ${idealHeadingDeg}° → ${headingDeg}°${why}`);
+    }
+    if (legal && slideMiles) {
+      const slide = formatSignedMiles(slideMiles, "later", "earlier");
+      lines.push(`Green light ${slide} than the spot${headingDeg === idealHeadingDeg ? why : ""}`);
+    }
+  }
+  if (jumpRunSource === "manual") {
+    const reasons = checkJumpRunConstraints(Math.round(currentHeadingDeg), jumpRunOffsetMiles || 0);
+    if (reasons.length) lines.push(`⚠ Manual jump run ${reasons.join(", ")}`);
+  }
+
+  el.innerHTML = lines.map(line => `<div>${line}</div>`).join("");
+  el.classList.toggle("hidden", !lines.length);
+}
+
+// Allowed heading sectors as wedges from the DZ, no-fly areas as hatched polygons
+function drawJumpRunConstraints() {
+  constraintsGroup.clearLayers();
+
+  const wedgeMeters = 1.5 * METERS_PER_MILE;
+  JUMP_RUN_ALLOWED_SECTORS.forEach(([from, to]) => {
+    const span = sectorSpanDeg([from, to]);
+    const points = [[DZ_LAT, DZ_LON]];
+    for (let d = 0; d <= span; d += Math.max(1, span / 24)) {
+      const p = destinationPoint(DZ_LAT, DZ_LON, from + d, wedgeMeters);
+      points.push([p.lat, p.lon]);
+    }
+    const last = destinationPoint(DZ_LAT, DZ_LON, to, wedgeMeters);
+    points.push([last.lat, last.lon]);
+    L.polygon(points, {
+      color: "#2e7d32",
+      weight: 1,
+      fillOpacity: 0.06,
+      dashArray: "4 4",
+      interactive: true
+    }).bindTooltip(`Allowed jump run headings ${from}°–${to}°`).addTo(constraintsGroup);
+  });
+
+  L.geoJSON(JUMP_RUN_NO_FLY_AREAS, {
+    style: { color: "#c62828", weight: 2, fillColor: "#c62828", fillOpacity: 0.15 },
+    onEachFeature: (feature, layer) => {
+      layer.bindTooltip(`⛔ ${escapeHtml((feature.properties && feature.properties.name) || "No-fly area")}`);
+    }
+  }).addTo(constraintsGroup);
+}
+
+/* ================================
+   DZ FEATURES
+   Landing areas, outs and hazards as an editable GeoJSON overlay.
+   The chosen landing area is the target for the spot, canopy reach and pattern.
+=================================== */
+const DZ_FEATURES_KEY = "dzFeatures";
+const LANDING_AREA_KEY = "landingArea";
+
+let dzFeatures = [];
+let landingAreaId = "";
+let dzFeaturesGroup = L.featureGroup().addTo(map);
+
+// Every feature gets a known kind and a stable id (the landing area select refers to it)
+function normalizeDzFeature(feature, fallbackId) {
+  const props = { ...(feature.properties || {}) };
+  if (!DZ_FEATURE_KINDS[props.kind]) {
+    if (props.kind) console.warn(`Unknown DZ feature kind "${props.kind}", shown as a hazard`);
+    props.kind = "hazard";
+  }
+  props.id = props.id ? String(props.id) : fallbackId;
+  props.name = props.name || DZ_FEATURE_KINDS[props.kind].label;
+  return { type: "Feature", properties: props, geometry: feature.geometry };
+}
+
+// Features of a GeoJSON FeatureCollection (or single Feature); throws on anything else
+function parseDzFeatures(geojson) {
+  const features = geojson && geojson.type === "FeatureCollection" ? geojson.features
+    : geojson && geojson.type === "Feature" ? [geojson]
+    : null;
+  if (!Array.isArray(features)) {
+    throw new Error("Not a GeoJSON FeatureCollection");
+  }
+  return features
+    .filter(f => f && f.geometry && Array.isArray(f.geometry.coordinates))
+    .map((f, i) => normalizeDzFeature(f, `f${i + 1}`));
+}
+
+function getDzFeaturesCollection() {
+  return { type: "FeatureCollection", features: dzFeatures };
+}
+
+function saveDzFeatures() {
+  try {
+    localStorage.setItem(DZ_FEATURES_KEY, JSON.stringify(getDzFeaturesCollection()));
+  } catch (err) {
+    console.error("Failed to save DZ features:", err);
+  }
+}
+
+function loadDzFeatures() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(DZ_FEATURES_KEY));
+    dzFeatures = parseDzFeatures(saved || DZ_FEATURES);
+  } catch (err) {
+    console.error("Failed to load DZ features:", err);
+    dzFeatures = parseDzFeatures(DZ_FEATURES);
+  }
+  landingAreaId = localStorage.getItem(LANDING_AREA_KEY) || "";
+}
+
+function saveLandingAreaId() {
+  try {
+    if (landingAreaId) localStorage.setItem(LANDING_AREA_KEY, landingAreaId);
+    else localStorage.removeItem(LANDING_AREA_KEY);
+  } catch (err) {
+    console.error("Failed to save landing area:", err);
+  }
+}
+
+function getLandingAreas() {
+  return dzFeatures.filter(f => DZ_FEATURE_KINDS[f.properties.kind].landing);
+}
+
+// Aim point of a feature: the point itself, the area centroid of a polygon,
+// otherwise the mean of its vertices
+function featureAimPoint(feature) {
+  const { type, coordinates } = feature.geometry;
+  if (type === "Point") return { lat: coordinates[1], lon: coordinates[0] };
+
+  const ring = type === "Polygon" ? coordinates[0]
+    : type === "MultiPolygon" ? coordinates[0][0]
+    : null;
+  if (ring) {
+    const pts = ring.map(([lon, lat]) => offsetFromDz(lat, lon));
+    let area = 0, cx = 0, cy = 0;
+    for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+      const cross = pts[j].x * pts[i].y - pts[i].x * pts[j].y;
+      area += cross;
+      cx += (pts[j].x + pts[i].x) * cross;
+      cy += (pts[j].y + pts[i].y) * cross;
+    }
+    if (Math.abs(area) > 1e-12) {
+      return offsetPoint(DZ_LAT, DZ_LON, cx / (3 * area), cy / (3 * area));
+    }
+  }
+
+  const flat = coordinates.flat(3);
+  let lat = 0, lon = 0;
+  for (let i = 0; i < flat.length; i += 2) {
+    lon += flat[i];
+    lat += flat[i + 1];
+  }
+  const n = flat.length / 2;
+  return { lat: lat / n, lon: lon / n };
+}
+
+// Where jumpers are spotted and flown to: the chosen landing area,
+// or the LANDING_TARGET_LAT/LON setting when none is chosen
+function getLandingTarget() {
+  const area = getLandingAreas().find(f => f.properties.id === landingAreaId);
+  if (area) {
+    return { ...featureAimPoint(area), name: area.properties.name };
+  }
+  return { lat: LANDING_TARGET_LAT, lon: LANDING_TARGET_LON, name: "Landing target" };
+}
+
+function drawDzFeatures() {
+  dzFeaturesGroup.clearLayers();
+
+  L.geoJSON(getDzFeaturesCollection(), {
+    style: feature => {
+      const kind = DZ_FEATURE_KINDS[feature.properties.kind];
+      const line = feature.geometry.type.includes("LineString");
+      return {
+        color: kind.color,
+        weight: line ? 4 : 2,
+        fillColor: kind.color,
+        fillOpacity: feature.properties.id === landingAreaId ? 0.35 : 0.18,
+        dashArray: feature.properties.kind === "powerline" ? "8 6" : null
+      };
+    },
+    pointToLayer: (feature, latlng) => L.marker(latlng, {
+      icon: L.divIcon({
+        className: "dz-feature-icon",
+        html: `<span style="background:${DZ_FEATURE_KINDS[feature.properties.kind].color}"></span>`,
+        iconSize: [14, 14],
+        iconAnchor: [7, 7]
+      })
+    }),
+    onEachFeature: (feature, layer) => {
+      const kind = DZ_FEATURE_KINDS[feature.properties.kind];
+      layer.featureId = feature.properties.id;
+      layer.bindTooltip(`${escapeHtml(feature.properties.name)} (${kind.label})`);
+      // Flatten into the draw tools' group so every layer is editable on its own
+      dzFeaturesGroup.addLayer(layer);
+    }
+  });
+}
+
+function renderLandingAreaSelect() {
+  const select = document.getElementById("landing-area-select");
+  if (!select) return;
+
+  const areas = getLandingAreas();
+  if (landingAreaId && !areas.some(f => f.properties.id === landingAreaId)) {
+    landingAreaId = "";
+    saveLandingAreaId();
+  }
+
+  select.innerHTML = "";
+  select.appendChild(new Option("Landing target (settings)", ""));
+  areas.forEach(f => {
+    select.appendChild(new Option(`${f.properties.name} — ${DZ_FEATURE_KINDS[f.properties.kind].label}`, f.properties.id));
+  });
+  select.value = landingAreaId;
+
+  const summaryEl = document.getElementById("dz-features-summary");
+  if (summaryEl) {
+    const hazards = dzFeatures.length - areas.length;
+    summaryEl.textContent = dzFeatures.length
+      ? `${areas.length} landing area${areas.length === 1 ? "" : "s"} • ${hazards} hazard${hazards === 1 ? "" : "s"}`
+      : "No features yet. Draw them on the map.";
+  }
+}
+
+// Redraw after any change to the features or the chosen landing area,
+// then re-spot for the (possibly moved) target
+function refreshDzFeatures() {
+  renderLandingAreaSelect();
+  drawDzFeatures();
+  if (windsAloft.length) autoUpdateHeadingFromWinds();
+  else updateJumpRun();
+}
+
+function setDzFeatures(features) {
+  dzFeatures = features;
+  saveDzFeatures();
+  refreshDzFeatures();
+}
+
+function exportDzFeatures() {
+  const blob = new Blob([JSON.stringify(getDzFeaturesCollection(), null, 2)], { type: "application/geo+json" });
+  downloadBlob(blob, `dz-features-${DZ_NAME.toLowerCase().replace(/[^a-z0-9]+/g, "-")}.geojson`);
+}
+
+async function importDzFeatures(file) {
+  try {
+    const features = parseDzFeatures(JSON.parse(await file.text()));
+    setDzFeatures(features);
+    showBanner(`${features.length} DZ feature${features.length === 1 ? "" : "s"} imported from ${file.name}`, "success", 4000);
+  } catch (err) {
+    console.error("Failed to import DZ features:", err);
+    showBanner(`Failed to import DZ features: ${err.message}`, "error", 8000);
+  }
+}
+
+// Leaflet.draw toolbar: new shapes take the kind and name from the DZ Features card
+function initDzFeatureDrawing() {
+  if (!L.Control.Draw) {
+    console.warn("Leaflet.draw not loaded; DZ features are view-only");
+    return;
+  }
+
+  map.addControl(new L.Control.Draw({
+    position: "topright",
+    // Leaflet.draw 1.0.4's rectangle area readout throws (readableArea references an undeclared var)
+    draw: { circle: false, circlemarker: false, rectangle: { showArea: false } },
+    edit: { featureGroup: dzFeaturesGroup }
+  }));
+
+  map.on(L.Draw.Event.CREATED, e => {
+    const kindSelect = document.getElementById("dz-feature-kind");
+    const nameInput = document.getElementById("dz-feature-name");
+    const kind = kindSelect ? kindSelect.value : "hazard";
+    const feature = normalizeDzFeature({
+      geometry: e.layer.toGeoJSON().geometry,
+      properties: { kind, name: nameInput ? nameInput.value.trim() : "" }
+    }, `f${Date.now().toString(36)}`);
+    if (nameInput) nameInput.value = "";
+    setDzFeatures([...dzFeatures, feature]);
+  });
+
+  map.on(L.Draw.Event.EDITED, e => {
+    const geometries = {};
+    e.layers.eachLayer(layer => {
+      geometries[layer.featureId] = layer.toGeoJSON().geometry;
+    });
+    setDzFeatures(dzFeatures.map(f =>
+      geometries[f.properties.id] ? { ...f, geometry: geometries[f.properties.id] } : f));
+  });
+
+  map.on(L.Draw.Event.DELETED, e => {
+    const removed = [];
+    e.layers.eachLayer(layer => removed.push(layer.featureId));
+    setDzFeatures(dzFeatures.filter(f => !removed.includes(f.properties.id)));
+  });
+}
+
+function initDzFeatureControls() {
+  loadDzFeatures();
+
+  const kindSelect = document.getElementById("dz-feature-kind");
+  if (kindSelect) {
+    Object.entries(DZ_FEATURE_KINDS).forEach(([key, kind]) => {
+      kindSelect.appendChild(new Option(kind.label, key));
+    });
+  }
+
+  const areaSelect = document.getElementById("landing-area-select");
+  if (areaSelect) {
+    areaSelect.addEventListener("change", () => {
+      landingAreaId = areaSelect.value;
+      saveLandingAreaId();
+      refreshDzFeatures();
+    });
+  }
+
+  const resetBtn = document.getElementById("dz-features-reset");
+  if (resetBtn) {
+    resetBtn.addEventListener("click", () => {
+      if (!confirm("Replace the DZ features with the config.js defaults?")) return;
+      try {
+        localStorage.removeItem(DZ_FEATURES_KEY);
+      } catch (err) {
+        console.error("Failed to clear DZ features:", err);
+      }
+      dzFeatures = parseDzFeatures(DZ_FEATURES);
+      refreshDzFeatures();
+    });
+  }
+
+  const exportBtn = document.getElementById("dz-features-export");
+  if (exportBtn) exportBtn.addEventListener("click", exportDzFeatures);
+
+  const fileInput = document.getElementById("dz-features-file");
+  const importBtn = document.getElementById("dz-features-import");
+  if (fileInput && importBtn) {
+    importBtn.addEventListener("click", () => fileInput.click());
+    fileInput.addEventListener("change", () => {
+      if (fileInput.files[0]) importDzFeatures(fileInput.files[0]);
+      fileInput.value = "";
+    });
+  }
+
+  initDzFeatureDrawing();
+  renderLandingAreaSelect();
+  drawDzFeatures();
+}
+
+/* ================================
+   EXIT ORDER PLANNER
+   Per-discipline exit points along the jump run
+=================================== */
+const EXIT_ORDER_KEY = "exitOrder";
+
+// Groups on the current load in exit order (keys of JUMPER_DISCIPLINES)
+let exitOrder = DEFAULT_EXIT_ORDER.slice();
+let exitPlan = [];
+let exitPointsGroup = null;
+
+// Jumper profile for one discipline, falling back to the generic config values
+function getDisciplineProfile(key) {
+  const d = JUMPER_DISCIPLINES[key] || {};
+  return {
+    exitAltFt: getActiveAircraftProfile().exitAltFt,
+    openingAltFt: d.openingAltFt ?? OPENING_ALTITUDE_FT,
+    fallRateMph: d.fallRateMph ?? FREEFALL_TERMINAL_VELOCITY_MPH * (d.fallRateFactor ?? 1),
+    canopyDescentMph: d.canopyDescentMph ?? CANOPY_DESCENT_RATE_MPH,
+    canopyForwardMph: d.canopyForwardMph ?? CANOPY_FORWARD_SPEED_MPH
+  };
+}
+
+// Exit point of every group: a group waits for its own ideal spot,
+// but never goes sooner than the required separation after the group before it
+function computeExitPlan(headingDeg, offsetMiles, groundSpeedKnots, winds) {
+  const baseSeparationSec = getExitSeparation(groundSpeedKnots);
+  const milesPerSecond = groundSpeedKnots * KNOTS_TO_MPH / 3600;
+
+  // First point anyone can leave the door, given the green light position
+  const doorMiles = offsetMiles + getDoorFudgeMiles();
+
+  const plan = [];
+  let prevExitMiles = null;
+
+  exitOrder.forEach(key => {
+    const discipline = JUMPER_DISCIPLINES[key];
+    if (!discipline) return;
+
+    const profile = getDisciplineProfile(key);
+    const ideal = winds.length
+      ? computeExitPointMiles(headingDeg, winds, profile)
+      : { exitMiles: doorMiles, openingMiles: doorMiles };
+
+    const separationSec = prevExitMiles === null
+      ? 0
+      : baseSeparationSec + (discipline.extraSeparationSec || 0);
+    const earliestMiles = prevExitMiles === null
+      ? doorMiles
+      : prevExitMiles + separationSec * milesPerSecond;
+    const exitMiles = discipline.waitsForSpot === false
+      ? earliestMiles
+      : Math.max(earliestMiles, ideal.exitMiles);
+    const reach = winds.length ? computeReachableExitWindow(headingDeg, winds, profile) : null;
+
+    plan.push({
+      key,
+      label: discipline.label,
+      openingAltFt: profile.openingAltFt,
+      idealMiles: ideal.exitMiles,
+      exitMiles,
+      // The opening point moves with the exit point
+      openingMiles: ideal.openingMiles + (exitMiles - ideal.exitMiles),
+      separationSec,
+      getsHome: !winds.length || (!!reach && exitMiles >= reach.fromMiles && exitMiles <= reach.toMiles),
+      secondsAfterDoor: milesPerSecond > 0 ? (exitMiles - doorMiles) / milesPerSecond : null
+    });
+    prevExitMiles = exitMiles;
+  });
+
+  return plan;
+}
+
+function updateExitPlan(headingDeg) {
+  exitPlan = computeExitPlan(headingDeg, jumpRunOffsetMiles || 0, jumpRunGroundSpeedKnots, windsAloft);
+
+  if (exitPointsGroup) {
+    map.removeLayer(exitPointsGroup);
+  }
+
+  const markers = exitPlan.map((group, i) => {
+    const point = pointOnRun(group.exitMiles, headingDeg);
+    const icon = L.divIcon({
+      className: "exit-point-icon",
+      html: `<div class="exit-point-inner exit-${group.key}">${i + 1}</div>`,
+      iconSize: [18, 18],
+      iconAnchor: [9, 9]
+    });
+    return L.marker([point.lat, point.lon], { icon, interactive: true })
+      .bindTooltip(`${i + 1}. ${group.label} • opens ${formatUnits("altitude", group.openingAltFt)}`, {
+        direction: "top",
+        offset: [0, -8]
+      });
+  });
+
+  exitPointsGroup = L.layerGroup(markers).addTo(map);
+  renderExitOrderList();
+}
+
+function saveExitOrder() {
+  try {
+    localStorage.setItem(EXIT_ORDER_KEY, JSON.stringify(exitOrder));
+  } catch (err) {
+    console.error("Failed to save exit order:", err);
+  }
+}
+
+function loadExitOrder() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(EXIT_ORDER_KEY));
+    if (Array.isArray(saved)) {
+      exitOrder = saved.filter(key => JUMPER_DISCIPLINES[key]);
+    }
+  } catch (err) {
+    console.error("Failed to load exit order:", err);
+  }
+}
+
+// Apply an edit to the exit order and recompute the plan
+function changeExitOrder(mutate) {
+  mutate(exitOrder);
+  saveExitOrder();
+  updateExitPlan(currentHeadingDeg);
+}
+
+function renderExitOrderList() {
+  const listEl = document.getElementById("exit-order-list");
+  if (!listEl) return;
+
+  listEl.innerHTML = "";
+
+  if (!exitPlan.length) {
+    listEl.innerHTML = `<li class="small">No groups on this load.</li>`;
+    return;
+  }
+
+  exitPlan.forEach((group, i) => {
+    const li = document.createElement("li");
+    li.className = "exit-order-row";
+
+    // How far past (+) the group's own ideal spot it actually leaves
+    const pastIdeal = group.exitMiles - group.idealMiles;
+    const timing = group.secondsAfterDoor !== null ? ` • T+${Math.round(group.secondsAfterDoor)}s` : "";
+    const late = pastIdeal > 0.05
+      ? ` <span class="exit-late">${formatUnits("distance", pastIdeal)} past ideal</span>`
+      : "";
+    const home = group.getsHome ? "" : ` <span class="exit-stranded">⚠ can't reach target</span>`;
+
+    li.innerHTML = `
+      <span class="exit-order-num exit-${group.key}">${i + 1}</span>
+      <span class="exit-order-label">
+        <strong>${group.label}</strong>
+        <span class="small">${formatOffsetMiles(group.exitMiles)} ${unitLabel("distance")}${timing}${late}${home}</span>
+      </span>
+      <button class="card-button" type="button" data-action="up" ${i === 0 ? "disabled" : ""}>▲</button>
+      <button class="card-button" type="button" data-action="down" ${i === exitPlan.length - 1 ? "disabled" : ""}>▼</button>
+      <button class="card-button" type="button" data-action="remove">✕</button>
+    `;
+
+    li.querySelectorAll("button").forEach(btn => {
+      btn.addEventListener("click", () => {
+        const action = btn.dataset.action;
+        changeExitOrder(order => {
+          if (action === "remove") {
+            order.splice(i, 1);
+          } else {
+            const j = action === "up" ? i - 1 : i + 1;
+            [order[i], order[j]] = [order[j], order[i]];
+          }
+        });
+      });
+    });
+
+    listEl.appendChild(li);
+  });
+}
+
+function initExitOrderControls() {
+  loadExitOrder();
+
+  const select = document.getElementById("exit-order-add-select");
+  const addBtn = document.getElementById("exit-order-add");
+  const resetBtn = document.getElementById("exit-order-reset");
+  if (!select || !addBtn || !resetBtn) return;
+
+  Object.entries(JUMPER_DISCIPLINES).forEach(([key, discipline]) => {
+    const option = document.createElement("option");
+    option.value = key;
+    option.textContent = discipline.label;
+    select.appendChild(option);
+  });
+
+  addBtn.addEventListener("click", () => {
+    changeExitOrder(order => order.push(select.value));
+  });
+  resetBtn.addEventListener("click", () => {
+    changeExitOrder(order => order.splice(0, order.length, ...DEFAULT_EXIT_ORDER));
+  });
+}
+
+/* ================================
+   SPOT UNCERTAINTY (MONTE CARLO)
+   Exit and opening footprints from perturbed wind profiles
+=================================== */
+const SPOT_UNCERTAINTY_KEY = "spotUncertaintyEnabled";
+
+let spotUncertaintyEnabled = false;
+let spotFootprintGroup = null;
+
+// Small seeded PRNG so the footprint doesn't shimmer on every redraw
+function createSeededRandom(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal sample (Box-Muller)
+function gaussianSample(random) {
+  const u = Math.max(random(), 1e-12);
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function perturbWinds(winds, random) {
+  const dirBias = gaussianSample(random) * SPOT_MC_DIR_ERROR_DEG;
+  const speedBias = gaussianSample(random) * SPOT_MC_SPEED_ERROR_KT;
+
+  // Temperature and pressure ride along so freefall uses the same air density as the plan
+  return winds.map(w => ({
+    ...w,
+    dirDeg: (w.dirDeg + dirBias + gaussianSample(random) * SPOT_MC_DIR_ERROR_DEG / 2 + 720) % 360,
+    speedKt: Math.max(0, w.speedKt + speedBias + gaussianSample(random) * SPOT_MC_SPEED_ERROR_KT / 2)
+  }));
+}
+
+// Base profiles to sample from: the selected hour, plus its neighbours if enabled
+function getSpreadBaseProfiles() {
+  const entry = getForecastEntry(forecastOffsetHours);
+  if (!SPOT_MC_USE_HOUR_SPREAD || !entry) return [windsAloft];
+
+  const hourMs = 60 * 60 * 1000;
+  const neighbours = windsForecast.filter(e => Math.abs(e.time - entry.time) <= hourMs);
+  return neighbours.length ? neighbours.map(e => e.winds) : [windsAloft];
+}
+
+// Run the drift model over many perturbed profiles. Points are miles east/north of the DZ.
+function runSpotMonteCarlo(headingDeg, plannedExitMiles, jumper) {
+  const random = createSeededRandom(12345);
+  const bases = getSpreadBaseProfiles();
+
+  const rad = headingDeg * Math.PI / 180;
+  const ux = Math.sin(rad);
+  const uy = Math.cos(rad);
+  const axisCross = getRunCrossOffsetMiles(headingDeg);
+
+  const exitPoints = [];
+  const openingPoints = [];
+
+  for (let i = 0; i < SPOT_MC_RUNS; i++) {
+    const base = bases[Math.floor(random() * bases.length)];
+    const winds = perturbWinds(base, random);
+
+    const canopyDrift = computeDriftVector(winds, jumper.openingAltFt, 0, jumper.canopyDescentMph);
+    const freefallDrift = computeDriftVector(winds, jumper.exitAltFt, jumper.openingAltFt, jumper.fallRateMph, true);
+
+    // Ideal exit: along-run from the offset model, across-run wherever passive drift
+    // would carry the jumper back over the landing target (on the run axis)
+    const along = computeExitPointMiles(headingDeg, winds, jumper).exitMiles;
+    const cross = axisCross - ((canopyDrift.dx + freefallDrift.dx) * uy - (canopyDrift.dy + freefallDrift.dy) * ux);
+    exitPoints.push({
+      x: along * ux + cross * uy,
+      y: along * uy - cross * ux
+    });
+
+    // Where a jumper leaving at the planned exit point actually opens
+    openingPoints.push({
+      x: plannedExitMiles * ux + axisCross * uy + freefallDrift.dx,
+      y: plannedExitMiles * uy - axisCross * ux + freefallDrift.dy
+    });
+  }
+
+  return { exitPoints, openingPoints };
+}
+
+// Convex hull (monotone chain) of { x, y } points
+function convexHull(points) {
+  const pts = points.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+  if (pts.length < 3) return pts;
+
+  const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+  const lower = [];
+  for (const p of pts) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  }
+  const upper = [];
+  for (let i = pts.length - 1; i >= 0; i--) {
+    const p = pts[i];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  }
+  upper.pop();
+  lower.pop();
+  return lower.concat(upper);
+}
+
+// Hull around the innermost fraction of the samples (by Mahalanobis distance)
+function probabilityContour(points, fraction) {
+  const n = points.length;
+  const mx = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const my = points.reduce((sum, p) => sum + p.y, 0) / n;
+
+  let sxx = 0, syy = 0, sxy = 0;
+  points.forEach(p => {
+    sxx += (p.x - mx) * (p.x - mx);
+    syy += (p.y - my) * (p.y - my);
+    sxy += (p.x - mx) * (p.y - my);
+  });
+  sxx /= n; syy /= n; sxy /= n;
+
+  const det = sxx * syy - sxy * sxy;
+  const distance = p => {
+    const dx = p.x - mx;
+    const dy = p.y - my;
+    if (det <= 1e-12) return dx * dx + dy * dy;
+    return (syy * dx * dx - 2 * sxy * dx * dy + sxx * dy * dy) / det;
+  };
+
+  const inner = points
+    .map(p => ({ p, d: distance(p) }))
+    .sort((a, b) => a.d - b.d)
+    .slice(0, Math.max(3, Math.round(n * fraction)))
+    .map(item => item.p);
+
+  return convexHull(inner);
+}
+
+// Extent of a hull along and across the jump run (miles)
+function hullExtent(hull, headingDeg) {
+  const rad = headingDeg * Math.PI / 180;
+  const along = hull.map(p => p.x * Math.sin(rad) + p.y * Math.cos(rad));
+  const across = hull.map(p => p.x * Math.cos(rad) - p.y * Math.sin(rad));
+  return {
+    alongMiles: Math.max(...along) - Math.min(...along),
+    acrossMiles: Math.max(...across) - Math.min(...across)
+  };
+}
+
+function updateSpotFootprint(headingDeg) {
+  if (spotFootprintGroup) {
+    map.removeLayer(spotFootprintGroup);
+    spotFootprintGroup = null;
+  }
+
+  const summaryEl = document.getElementById("spot-uncertainty-summary");
+
+  if (!spotUncertaintyEnabled || !windsAloft.length) {
+    if (summaryEl) summaryEl.textContent = spotUncertaintyEnabled ? "Waiting for winds…" : "Off";
+    return;
+  }
+
+  // Footprint for the first group out (or the generic jumper on an empty load)
+  const first = exitPlan[0];
+  const jumper = first ? getDisciplineProfile(first.key) : getDefaultJumperProfile();
+  const plannedExitMiles = first
+    ? first.exitMiles
+    : (jumpRunOffsetMiles || 0) + getDoorFudgeMiles();
+
+  const { exitPoints, openingPoints } = runSpotMonteCarlo(headingDeg, plannedExitMiles, jumper);
+
+  const toLatLngs = hull => hull.map(p => {
+    const pt = offsetPoint(DZ_LAT, DZ_LON, p.x, p.y);
+    return [pt.lat, pt.lon];
+  });
+
+  const layers = [];
+  const contours = [
+    { fraction: 0.9, opacity: 0.15 },
+    { fraction: 0.5, opacity: 0.3 }
+  ];
+
+  contours.forEach(({ fraction, opacity }) => {
+    const pct = Math.round(fraction * 100);
+    layers.push(
+      L.polygon(toLatLngs(probabilityContour(openingPoints, fraction)), {
+        weight: 1,
+        color: "#29b6f6",
+        fillColor: "#29b6f6",
+        fillOpacity: opacity
+      }).bindTooltip(`${pct}% opening footprint`),
+      L.polygon(toLatLngs(probabilityContour(exitPoints, fraction)), {
+        weight: 1,
+        color: "#76ff03",
+        fillColor: "#76ff03",
+        fillOpacity: opacity
+      }).bindTooltip(`${pct}% exit window`)
+    );
+  });
+
+  spotFootprintGroup = L.layerGroup(layers).addTo(map);
+
+  if (summaryEl) {
+    const exitExtent = hullExtent(probabilityContour(exitPoints, 0.9), headingDeg);
+    const openExtent = hullExtent(probabilityContour(openingPoints, 0.9), headingDeg);
+    summaryEl.textContent =
+      `90% exit window ${formatUnits("distance", exitExtent.alongMiles)} along × ${formatUnits("distance", exitExtent.acrossMiles)} across • ` +
+      `openings spread ${formatUnitValue("distance", openExtent.alongMiles)} × ${formatUnits("distance", openExtent.acrossMiles)}`;
+  }
+}
+
+function initSpotUncertaintyControls() {
+  spotUncertaintyEnabled = localStorage.getItem(SPOT_UNCERTAINTY_KEY) === "true";
+
+  const toggle = document.getElementById("spot-uncertainty-toggle");
+  if (!toggle) return;
+
+  toggle.checked = spotUncertaintyEnabled;
+  toggle.addEventListener("change", () => {
+    spotUncertaintyEnabled = toggle.checked;
+    try {
+      localStorage.setItem(SPOT_UNCERTAINTY_KEY, String(spotUncertaintyEnabled));
+    } catch (err) {
+      console.error("Failed to save spot uncertainty setting:", err);
+    }
+    updateSpotFootprint(currentHeadingDeg);
+  });
+}
+
+/* ================================
+   CANOPY REACH ENVELOPE
+   Where a canopy can get from the opening point, and the inverse:
+   where it must open to still reach the landing target
+=================================== */
+const CANOPY_REACH_KEY = "canopyReachEnabled";
+const CANOPY_REACH_TOLERANCE_MILES = 0.01; // the ideal spot sits exactly on the edge
+
+let canopyReachEnabled = false;
+let canopyReachGroup = null;
+
+// Winds don't depend on the heading flown, so every constant-heading track from one
+// opening point ends on a circle: the still-air range around the passive drift.
+function computeCanopyRange(winds, jumper) {
+  const hours = (jumper.openingAltFt - CANOPY_REACH_ARRIVAL_ALT_FT) / FT_PER_MILE / jumper.canopyDescentMph;
+  if (hours <= 0) return null;
+
+  return {
+    drift: computeDriftVector(winds, jumper.openingAltFt, CANOPY_REACH_ARRIVAL_ALT_FT, jumper.canopyDescentMph),
+    radiusMiles: jumper.canopyForwardMph * hours
+  };
+}
+
+// Stretch of the jump run axis (miles from the DZ) where this jumper can exit
+// and still open within reach of the landing target. Null if there is none.
+function computeReachableExitWindow(headingDeg, winds, jumper) {
+  const range = computeCanopyRange(winds, jumper);
+  if (!range) return null;
+
+  const landingTarget = getLandingTarget();
+  const target = offsetFromDz(landingTarget.lat, landingTarget.lon);
+  const freefall = computeDriftVector(winds, jumper.exitAltFt, jumper.openingAltFt, jumper.fallRateMph, true);
+
+  // Opening point for exit s is s*u + axis shift + freefall; it must lie within radius of (target - drift)
+  const rad = headingDeg * Math.PI / 180;
+  const ux = Math.sin(rad);
+  const uy = Math.cos(rad);
+  const axisCross = getRunCrossOffsetMiles(headingDeg);
+  const dx = axisCross * uy + freefall.dx - (target.x - range.drift.dx);
+  const dy = -axisCross * ux + freefall.dy - (target.y - range.drift.dy);
+
+  const b = 2 * (ux * dx + uy * dy);
+  const c = dx * dx + dy * dy - range.radiusMiles * range.radiusMiles;
+  const disc = b * b - 4 * c;
+  if (disc < 0) return null;
+
+  return {
+    fromMiles: (-b - Math.sqrt(disc)) / 2 - CANOPY_REACH_TOLERANCE_MILES,
+    toMiles: (-b + Math.sqrt(disc)) / 2 + CANOPY_REACH_TOLERANCE_MILES
+  };
+}
+
+function updateCanopyReach(headingDeg) {
+  if (canopyReachGroup) {
+    map.removeLayer(canopyReachGroup);
+    canopyReachGroup = null;
+  }
+
+  const summaryEl = document.getElementById("canopy-reach-summary");
+
+  if (!canopyReachEnabled || !windsAloft.length) {
+    if (summaryEl) summaryEl.textContent = canopyReachEnabled ? "Waiting for winds…" : "Off";
+    return;
+  }
+
+  // Envelope for the first group out (or the generic jumper on an empty load)
+  const first = exitPlan[0];
+  const jumper = first ? getDisciplineProfile(first.key) : getDefaultJumperProfile();
+  const exitMiles = first
+    ? first.exitMiles
+    : (jumpRunOffsetMiles || 0) + getDoorFudgeMiles();
+
+  const range = computeCanopyRange(windsAloft, jumper);
+  if (!range) {
+    if (summaryEl) summaryEl.textContent = "Opening altitude is below the arrival altitude.";
+    return;
+  }
+
+  const radiusMeters = range.radiusMiles * METERS_PER_MILE;
+  const arrivalStr = CANOPY_REACH_ARRIVAL_ALT_FT > 0 ? ` by ${formatUnits("altitude", CANOPY_REACH_ARRIVAL_ALT_FT)}` : "";
+  const freefall = computeDriftVector(windsAloft, jumper.exitAltFt, jumper.openingAltFt, jumper.fallRateMph, true);
+  const exitPoint = pointOnRun(exitMiles, headingDeg);
+  const openingPoint = offsetPoint(exitPoint.lat, exitPoint.lon, freefall.dx, freefall.dy);
+  const reachCenter = offsetPoint(openingPoint.lat, openingPoint.lon, range.drift.dx, range.drift.dy);
+  const landingTarget = getLandingTarget();
+  const homeCenter = offsetPoint(landingTarget.lat, landingTarget.lon, -range.drift.dx, -range.drift.dy);
+
+  const layers = [
+    L.circle([homeCenter.lat, homeCenter.lon], {
+      radius: radiusMeters,
+      weight: 2,
+      color: "#00e5ff",
+      fillColor: "#00e5ff",
+      fillOpacity: 0.12
+    }).bindTooltip(`Openings inside can reach the target${arrivalStr}`),
+    L.circle([reachCenter.lat, reachCenter.lon], {
+      radius: radiusMeters,
+      weight: 2,
+      color: "#ff9800",
+      fill: false,
+      dashArray: "6 6"
+    }).bindTooltip(`Reachable${arrivalStr} from the ${first ? first.label : "planned"} opening point`),
+    L.circleMarker([openingPoint.lat, openingPoint.lon], {
+      radius: 4,
+      weight: 2,
+      color: "#ff9800",
+      fillColor: "#fff",
+      fillOpacity: 1
+    }).bindTooltip("Planned opening point")
+  ];
+
+  const exitWindow = computeReachableExitWindow(headingDeg, windsAloft, jumper);
+  if (exitWindow) {
+    const from = pointOnRun(exitWindow.fromMiles, headingDeg);
+    const to = pointOnRun(exitWindow.toMiles, headingDeg);
+    layers.push(L.polyline([[from.lat, from.lon], [to.lat, to.lon]], {
+      weight: 14,
+      color: "#ffffff",
+      opacity: 0.25,
+      lineCap: "butt"
+    }).bindTooltip("Exits along this stretch get home"));
+  }
+
+  canopyReachGroup = L.layerGroup(layers).addTo(map);
+
+  if (summaryEl) {
+    const stranded = exitPlan.filter(group => !group.getsHome).map(group => group.label);
+    let text = exitWindow
+      ? `Exits ${formatOffsetMiles(exitWindow.fromMiles)} to ${formatOffsetMiles(exitWindow.toMiles)} ${unitLabel("distance")} get home`
+      : "No exit point on this run gets home";
+    if (stranded.length) {
+      text += ` • ⚠ ${stranded.join(", ")} can't reach the target`;
+    }
+    summaryEl.textContent = text;
+  }
+}
+
+function initCanopyReachControls() {
+  canopyReachEnabled = localStorage.getItem(CANOPY_REACH_KEY) === "true";
+
+  const toggle = document.getElementById("canopy-reach-toggle");
+  if (!toggle) return;
+
+  toggle.checked = canopyReachEnabled;
+  toggle.addEventListener("change", () => {
+    canopyReachEnabled = toggle.checked;
+    try {
+      localStorage.setItem(CANOPY_REACH_KEY, String(canopyReachEnabled));
+    } catch (err) {
+      console.error("Failed to save canopy reach setting:", err);
+    }
+    updateCanopyReach(currentHeadingDeg);
+  });
+}
+
+/* ================================
+   LANDING PATTERN
+   Downwind / base / final legs flown back from the landing target
+=================================== */
+const LANDING_SIDE_KEY = "landingPatternSide";
+
+let landingPatternSide = LANDING_PATTERN_SIDE;
+let landingPatternGroup = null;
+
+// Legs from the highest checkpoint down, each flown for its altitude band.
+// Returns checkpoints from pattern entry to the target plus the final heading.
+function computeLandingPattern(winds, side, targetLat, targetLon) {
+  const [entryAltFt, baseAltFt, finalAltFt] = LANDING_PATTERN_ALTITUDES_FT;
+
+  // Land into the surface wind (on a permitted direction); in calm air keep the jump run heading
+  const surfaceWind = interpolateWind(winds, 0);
+  const finalHeading = getLandingHeadingDeg(surfaceWind,
+    Number.isFinite(currentHeadingDeg) ? currentHeadingDeg : 270);
+
+  // Left-hand pattern: base is flown 90° right of final so the turn to final is a left turn
+  const turn = side === "right" ? -90 : 90;
+  const legs = [
+    { name: "final",    headingDeg: finalHeading,               topFt: finalAltFt, bottomFt: 0 },
+    { name: "base",     headingDeg: finalHeading + turn,        topFt: baseAltFt,  bottomFt: finalAltFt },
+    { name: "downwind", headingDeg: finalHeading + 180,         topFt: entryAltFt, bottomFt: baseAltFt }
+  ];
+
+  // Walk backwards from the target, subtracting each leg's ground track
+  let x = 0;
+  let y = 0;
+  const checkpoints = [{ altFt: 0, x, y }];
+
+  legs.forEach(leg => {
+    const hours = (leg.topFt - leg.bottomFt) / FT_PER_MILE / CANOPY_DESCENT_RATE_MPH;
+    const wind = interpolateWind(winds, (leg.topFt + leg.bottomFt) / 2);
+    const air = windToComponents((leg.headingDeg + 180) % 360, CANOPY_FORWARD_SPEED_MPH); // canopy moving toward headingDeg
+    const drift = wind ? windToComponents(wind.dirDeg, wind.speedKt * KNOTS_TO_MPH) : { u: 0, v: 0 };
+
+    x -= (air.u + drift.u) * hours;
+    y -= (air.v + drift.v) * hours;
+    checkpoints.unshift({ altFt: leg.topFt, x, y });
+  });
+
+  return {
+    finalHeadingDeg: Math.round(finalHeading) % 360,
+    surfaceWind,
+    checkpoints: checkpoints.map(cp => ({
+      altFt: cp.altFt,
+      ...offsetPoint(targetLat, targetLon, cp.x, cp.y)
+    }))
+  };
+}
+
+function updateLandingPattern() {
+  if (landingPatternGroup) {
+    map.removeLayer(landingPatternGroup);
+    landingPatternGroup = null;
+  }
+
+  if (!windsAloft.length) return;
+
+  const landingTarget = getLandingTarget();
+  const pattern = computeLandingPattern(windsAloft, landingPatternSide, landingTarget.lat, landingTarget.lon);
+  const latLngs = pattern.checkpoints.map(cp => [cp.lat, cp.lon]);
+
+  const layers = [
+    L.polyline(latLngs, {
+      weight: 3,
+      color: "#ffeb3b",
+      opacity: 0.9,
+      dashArray: "6 4",
+      className: "landing-pattern-line"
+    })
+  ];
+
+  pattern.checkpoints.forEach(cp => {
+    if (cp.altFt === 0) return;
+    layers.push(
+      L.circleMarker([cp.lat, cp.lon], {
+        radius: 5,
+        weight: 2,
+        color: "#f9a825",
+        fillColor: "#ffeb3b",
+        fillOpacity: 1
+      }).bindTooltip(formatUnits("altitude", cp.altFt), {
+        permanent: true,
+        direction: "right",
+        offset: [6, 0],
+        className: "landing-checkpoint-label"
+      })
+    );
+  });
+
+  landingPatternGroup = L.layerGroup(layers).addTo(map);
+
+  const summaryEl = document.getElementById("landing-summary");
+  if (summaryEl) {
+    const wind = pattern.surfaceWind;
+    const windStr = wind ? `${Math.round(wind.dirDeg)}° @ ${formatUnits("windSpeed", wind.speedKt)}` : "--";
+    const sideStr = landingPatternSide === "right" ? "Right-hand" : "Left-hand";
+    summaryEl.textContent = `${landingTarget.name}: Final ${pattern.finalHeadingDeg}° • ${sideStr} • Sfc wind ${windStr}`;
+  }
+}
+
+function initLandingPatternControls() {
+  const saved = localStorage.getItem(LANDING_SIDE_KEY);
+  if (saved === "left" || saved === "right") {
+    landingPatternSide = saved;
+  }
+
+  const select = document.getElementById("landing-side");
+  if (!select) return;
+
+  select.value = landingPatternSide;
+  select.addEventListener("change", () => {
+    landingPatternSide = select.value;
+    try {
+      localStorage.setItem(LANDING_SIDE_KEY, landingPatternSide);
+    } catch (err) {
+      console.error("Failed to save landing pattern side:", err);
+    }
+    updateLandingPattern();
+  });
+}
+
+/* ================================
+   ADS-B FEED ADAPTERS
+   Every source is normalized to the readsb-style record the rest of the app reads:
+   { hex, r, flight, lat, lon, alt_baro (ft or "ground"), alt_geom (ft), gs (kt),
+     track (deg), baro_rate (fpm), ground, time (position time, ms epoch), source }
+=================================== */
+const M_TO_FT = FEET_PER_METER;
+const MPS_TO_KT = 1.943844;
+const MPS_TO_FPM = 196.8504;
+
+// Status of the last poll per source label: { ok, count, error }
+let adsbFeedStatus = {};
+
+// SBS-1 messages only carry part of the state each; accumulate per hex across polls
+let sbsAircraftState = {};
+
+// readsb/dump1090 report `now` in seconds, the adsb.lol API in milliseconds
+function toEpochMs(t, fallbackMs) {
+  if (typeof t !== "number" || !Number.isFinite(t)) return fallbackMs;
+  return t > 1e12 ? t : t * 1000;
+}
+
+// adsb.lol /v2 API and local dump1090 / readsb / tar1090 aircraft.json
+function normalizeReadsb(data, receivedAt) {
+  const list = data.aircraft || data.ac || [];
+  const now = toEpochMs(data.now, receivedAt);
+
+  return list.map(a => {
+    // Legacy dump1090 names: altitude, speed, vert_rate
+    const altBaro = a.alt_baro ?? a.altitude;
+    return {
+      hex: (a.hex || a.icao || "").toLowerCase(),
+      r: a.r || a.registration,
+      flight: a.flight ? a.flight.trim() : undefined,
+      lat: a.lat,
+      lon: a.lon,
+      alt_baro: altBaro,
+      alt_geom: a.alt_geom,
+      gs: a.gs ?? a.speed,
+      track: a.track ?? a.true_heading ?? a.mag_heading,
+      baro_rate: a.baro_rate ?? a.geom_rate ?? a.vert_rate,
+      ground: altBaro === "ground",
+      time: now - (a.seen_pos ?? a.seen ?? 0) * 1000
+    };
+  });
+}
+
+// OpenSky /states/all: positional state vectors in SI units
+function normalizeOpenSky(data, receivedAt) {
+  return (data.states || []).map(s => {
+    const onGround = s[8] === true;
+    return {
+      hex: String(s[0] || "").toLowerCase(),
+      flight: s[1] ? s[1].trim() : undefined,
+      lat: s[6],
+      lon: s[5],
+      alt_baro: onGround ? "ground" : (s[7] != null ? s[7] * M_TO_FT : undefined),
+      alt_geom: s[13] != null ? s[13] * M_TO_FT : undefined,
+      gs: s[9] != null ? s[9] * MPS_TO_KT : undefined,
+      track: s[10] ?? undefined,
+      baro_rate: s[11] != null ? s[11] * MPS_TO_FPM : undefined,
+      ground: onGround,
+      time: toEpochMs(s[3] ?? s[4], receivedAt)
+    };
+  });
+}
+
+// SBS-1 / BaseStation CSV ("MSG,3,...") lines served over HTTP by a bridge
+function normalizeSbs(text, receivedAt) {
+  const num = v => (v === undefined || v === "" ? undefined : Number(v));
+
+  text.split("\n").forEach(line => {
+    const f = line.trim().split(",");
+    if (f[0] !== "MSG" || !f[4]) return;
+
+    const hex = f[4].toLowerCase();
+    const state = sbsAircraftState[hex] || (sbsAircraftState[hex] = { hex });
+
+    if (f[10] && f[10].trim()) state.flight = f[10].trim();
+    if (num(f[11]) !== undefined) state.alt_baro = num(f[11]);
+    if (num(f[12]) !== undefined) state.gs = num(f[12]);
+    if (num(f[13]) !== undefined) state.track = num(f[13]);
+    if (num(f[16]) !== undefined) state.baro_rate = num(f[16]);
+    if (f[21] !== undefined && f[21] !== "") state.ground = f[21] === "-1" || f[21] === "1";
+    if (num(f[14]) !== undefined && num(f[15]) !== undefined) {
+      state.lat = num(f[14]);
+      state.lon = num(f[15]);
+      // SBS date/time fields carry no zone and follow the receiver's clock
+      state.time = receivedAt;
+    }
+  });
+
+  // Forget aircraft we haven't heard from in a while
+  const cutoff = receivedAt - ADSB_MAX_AGE_SEC * 1000;
+  Object.keys(sbsAircraftState).forEach(hex => {
+    if ((sbsAircraftState[hex].time ?? 0) < cutoff) delete sbsAircraftState[hex];
+  });
+
+  return Object.values(sbsAircraftState).map(s => ({
+    ...s,
+    alt_baro: s.ground ? "ground" : s.alt_baro
+  }));
+}
+
+// GDL90 traffic reports decoded by a bridge to JSON (Stratux traffic field names)
+function normalizeGdl90(data, receivedAt) {
+  const list = Array.isArray(data) ? data : Object.values(data.traffic || data.aircraft || data);
+
+  return list
+    .filter(t => t && t.Position_valid !== false)
+    .map(t => ({
+      hex: typeof t.Icao_addr === "number"
+        ? t.Icao_addr.toString(16).padStart(6, "0")
+        : String(t.Icao_addr || "").toLowerCase(),
+      r: t.Reg || undefined,
+      flight: t.Tail ? t.Tail.trim() : undefined,
+      lat: t.Lat,
+      lon: t.Lng,
+      alt_baro: t.OnGround ? "ground" : t.Alt,
+      gs: t.Speed_valid === false ? undefined : t.Speed,
+      track: t.Track,
+      baro_rate: t.Vvel,
+      ground: t.OnGround === true,
+      time: t.Timestamp ? Date.parse(t.Timestamp) || receivedAt : receivedAt
+    }));
+}
+
+const ADSB_ADAPTERS = {
+  readsb:  { body: "json", normalize: normalizeReadsb },
+  opensky: { body: "json", normalize: normalizeOpenSky },
+  sbs:     { body: "text", normalize: normalizeSbs },
+  gdl90:   { body: "json", normalize: normalizeGdl90 }
+};
+
+async function fetchAdsbSource(source) {
+  const adapter = ADSB_ADAPTERS[source.type];
+  if (!adapter) throw new Error(`Unknown ADS-B source type "${source.type}"`);
+
+  const res = await fetch(source.url, { cache: "no-store" });
+  if (!res.ok) throw new Error("ADS-B HTTP " + res.status);
+
+  const receivedAt = Date.now();
+  const body = adapter.body === "text" ? await res.text() : await res.json();
+  const label = source.label || source.type;
+
+  return adapter.normalize(body, receivedAt)
+    .filter(a => a.hex)
+    .map(a => ({ ...a, source: label }));
+}
+
+// One record per hex: the newest position wins (earlier sources win ties),
+// fields it lacks (e.g. registration) are filled in from the other sources
+function mergeAircraftLists(lists) {
+  const byHex = {};
+
+  lists.flat().forEach(a => {
+    const existing = byHex[a.hex];
+    if (!existing) {
+      byHex[a.hex] = a;
+      return;
+    }
+    const [newer, older] = (a.time ?? 0) > (existing.time ?? 0) ? [a, existing] : [existing, a];
+    const merged = { ...newer };
+    Object.keys(older).forEach(key => {
+      if (merged[key] === undefined) merged[key] = older[key];
+    });
+    byHex[a.hex] = merged;
+  });
+
+  return Object.values(byHex);
+}
+
+// Poll every configured source; fails only if all of them do
+async function fetchAllAircraft() {
+  const results = await Promise.allSettled(ADSB_SOURCES.map(fetchAdsbSource));
+  const lists = [];
+  adsbFeedStatus = {};
+
+  results.forEach((result, i) => {
+    const label = ADSB_SOURCES[i].label || ADSB_SOURCES[i].type;
+    if (result.status === "fulfilled") {
+      lists.push(result.value);
+      adsbFeedStatus[label] = { ok: true, count: result.value.length };
+    } else {
+      console.error(`ADS-B source ${label} failed:`, result.reason);
+      adsbFeedStatus[label] = { ok: false, error: result.reason.message };
+    }
+  });
+  renderAdsbFeedStatus();
+
+  if (!lists.length) throw new Error("All ADS-B sources failed");
+
+  const cutoff = Date.now() - ADSB_MAX_AGE_SEC * 1000;
+  return mergeAircraftLists(lists).filter(a => (a.time ?? Date.now()) >= cutoff);
+}
+
+function renderAdsbFeedStatus() {
+  const el = document.getElementById("adsb-feed-status");
+  if (!el) return;
+
+  el.innerHTML = Object.entries(adsbFeedStatus).map(([label, status]) => status.ok
+    ? `<span class="status-badge status-good">${escapeHtml(label)} ✓ ${status.count}</span>`
+    : `<span class="status-badge status-warning" title="${escapeHtml(status.error)}">${escapeHtml(label)} ✗</span>`
+  ).join(" ");
+}
+
+/* ================================
+   ADS-B: All traffic + highlighted jump planes
+=================================== */
+let jumpPlanes = {}; // hex -> { marker, trackLine, trackCoords, color, meta }
+let otherAircraftMarkers = {};
+let aircraftPositionBuffers = {}; // Store buffer of recent positions for smooth playback
+let playbackDelay = 20000; // 20 second delay for buffered playback (in milliseconds)
+let animationFrameId = null;
+
+// Smooth position playback using buffered positions
+function animateTrafficMarkers() {
+  const now = Date.now();
+  // Look back in time for delayed playback (replay already steps through recorded polls)
+  const playbackTime = now - (isReplaying() ? 0 : playbackDelay);
+
+  Object.entries(otherAircraftMarkers).forEach(([hex, marker]) => {
+    const buffer = aircraftPositionBuffers[hex];
+    if (!buffer || buffer.length < 2) return;
+
+    // Remove old positions from buffer (older than we need)
+    while (buffer.length > 0 && buffer[0].timestamp < playbackTime - 30000) {
+      buffer.shift();
+    }
+
+    // Find the two positions to interpolate between
+    let beforePos = null;
+    let afterPos = null;
+
+    for (let i = 0; i < buffer.length - 1; i++) {
+      if (buffer[i].timestamp <= playbackTime && buffer[i + 1].timestamp >= playbackTime) {
+        beforePos = buffer[i];
+        afterPos = buffer[i + 1];
+        break;
+      }
+    }
+
+    // If we don't have bracketing positions, use the closest one
+    if (!beforePos || !afterPos) {
+      if (buffer.length > 0) {
+        const closestPos = buffer[buffer.length - 1];
+        marker.setLatLng([closestPos.lat, closestPos.lng]);
+      }
+      return;
+    }
+
+    // Interpolate between the two positions
+    const timeDiff = afterPos.timestamp - beforePos.timestamp;
+    const timeProgress = playbackTime - beforePos.timestamp;
+    const ratio = timeDiff > 0 ? timeProgress / timeDiff : 0;
+
+    const interpolatedLat = beforePos.lat + (afterPos.lat - beforePos.lat) * ratio;
+    const interpolatedLng = beforePos.lng + (afterPos.lng - beforePos.lng) * ratio;
+
+    marker.setLatLng([interpolatedLat, interpolatedLng]);
+  });
+
+  // Always continue animating
+  animationFrameId = requestAnimationFrame(animateTrafficMarkers);
+}
+
+// Start animation loop if not already running
+function startTrafficAnimation() {
+  if (!animationFrameId) {
+    animationFrameId = requestAnimationFrame(animateTrafficMarkers);
+  }
+}
+
+function getJumpPlaneColor(hex) {
+  const idx = JUMP_PLANE_HEXES.indexOf(hex);
+  return JUMP_PLANE_COLORS[(idx >= 0 ? idx : 0) % JUMP_PLANE_COLORS.length];
+}
+
+function getJumpPlaneTail(hex, planeMeta) {
+  const apiReg = planeMeta && (planeMeta.r || planeMeta.registration);
+  return apiReg || HEX_TO_TAIL[hex] || hex.toUpperCase();
+}
+
+function clearJumpPlaneHighlight(hex) {
+  const plane = jumpPlanes[hex];
+  if (!plane) return;
+  map.removeLayer(plane.marker);
+  map.removeLayer(plane.trackLine);
+  delete jumpPlanes[hex];
+}
+
+function clearAllJumpPlanes() {
+  Object.keys(jumpPlanes).forEach(clearJumpPlaneHighlight);
+  renderJumpPlaneStatus();
+}
+
+function updateJumpPlaneHighlight(lat, lon, trackDeg, planeMeta) {
+  const hex = (planeMeta.hex || planeMeta.icao || "").toLowerCase();
+  const latLng = [lat, lon];
+  const rotation = trackDeg || 0;
+  let plane = jumpPlanes[hex];
+
+  if (!plane) {
+    const color = getJumpPlaneColor(hex);
+    const tail = getJumpPlaneTail(hex, planeMeta);
+    const icon = L.divIcon({
+      className: "aircraft-icon",
+      html: `<div class="aircraft-icon-inner" style="transform: rotate(${rotation}deg); --plane-color: ${color};">✈️</div>` +
+            `<div class="aircraft-label" style="background: ${color};">${tail}</div>`,
+      iconSize: [24, 24],
+      iconAnchor: [12, 12]
+    });
+
+    plane = jumpPlanes[hex] = {
+      color,
+      trackCoords: [],
+      marker: L.marker(latLng, { icon }).addTo(map),
+      trackLine: L.polyline([], {
+        weight: 3,
+        color,
+        opacity: 0.7,
+        dashArray: "8 4",
+        className: "jump-plane-trail"
+      }).addTo(map),
+      meta: planeMeta
+    };
+  } else {
+    plane.marker.setLatLng(latLng);
+    // Update rotation
+    const iconElement = plane.marker.getElement();
+    if (iconElement) {
+      const innerDiv = iconElement.querySelector('.aircraft-icon-inner');
+      if (innerDiv) {
+        innerDiv.style.transform = `rotate(${rotation}deg)`;
+      }
+    }
+  }
+
+  plane.meta = planeMeta;
+  plane.trackCoords.push(latLng);
+  if (plane.trackCoords.length > 200) {
+    plane.trackCoords.shift();
+  }
+  plane.trackLine.setLatLngs(plane.trackCoords);
+}
+
+// One status row per tracked jump plane, highest first
+function renderJumpPlaneStatus() {
+  const statusEl = document.getElementById("aircraft-status");
+  if (!statusEl) return;
+
+  const hexes = Object.keys(jumpPlanes);
+  if (!hexes.length) {
+    statusEl.textContent = "No jump aircraft currently tracked.";
+    return;
+  }
+
+  const altOf = meta => {
+    const alt = meta.alt_geom ?? meta.alt_baro ?? 0;
+    return typeof alt === "number" ? alt : 0;
+  };
+  hexes.sort((a, b) => altOf(jumpPlanes[b].meta) - altOf(jumpPlanes[a].meta));
+
+  statusEl.innerHTML = hexes.map(hex => {
+    const plane = jumpPlanes[hex];
+    const meta = plane.meta;
+    const tracker = flightTrackers[hex];
+
+    const alt = altOf(meta);
+    const gs = meta.gs != null ? meta.gs : null;
+    const vrate = meta.baro_rate ?? meta.geom_rate ?? (tracker && tracker.last ? tracker.last.vrateFpm : null);
+
+    let html = `<div class="aircraft-row" style="border-left-color: ${plane.color};">`;
+    html += `<strong style="color: ${plane.color};">${getJumpPlaneTail(hex, meta)}</strong>`;
+    if (tracker && tracker.phase) {
+      html += ` <span class="aircraft-phase">${FLIGHT_PHASE_LABELS[tracker.phase]}</span>`;
+    }
+    html += `<br><span class="small">🔼 ${formatUnits("altitude", alt)}`;
+    if (gs !== null) {
+      html += ` • ➡️ ${formatUnits("aircraftSpeed", gs)} GS`;
+    }
+    if (vrate != null) {
+      html += ` • ↕️ ${vrate > 0 ? "+" : ""}${formatUnits("verticalRate", vrate)}`;
+    }
+    html += `</span>`;
+
+    // Time to exit altitude at the live climb rate (or the type's typical rate)
+    if (tracker && tracker.phase === "climbing" && tracker.last) {
+      const profile = resolveAircraftProfile(getAircraftProfileKeyForHex(hex));
+      const rate = vrate > 0 ? vrate : profile.climbRateFpm;
+      const toClimbFt = profile.exitAltFt - tracker.last.aglFt;
+      if (rate && toClimbFt > 0) {
+        html += `<div class="small">⏫ ≈ ${Math.ceil(toClimbFt / rate)} min to ${formatUnits("altitude", profile.exitAltFt)} (${profile.label})</div>`;
+      }
+    }
+
+    // Distance / time to the green light while the plane is going up to jump
+    if (tracker && (tracker.phase === "climbing" || tracker.phase === "jump-run")) {
+      const approach = computeGreenLightApproach(meta.lat, meta.lon, meta.track ?? meta.heading, meta.gs);
+      html += `<div class="small green-light-status">${formatGreenLightStatus(approach)}</div>`;
+    }
+    html += `</div>`;
+    return html;
+  }).join("");
+}
+
+// Helper: Get color based on altitude
+function getAltitudeColor(altFt) {
+  if (altFt >= 10000) {
+    return { fill: "#ff5252", stroke: "#d32f2f" }; // Red - High altitude (jump traffic)
+  } else if (altFt >= 5000) {
+    return { fill: "#ffa726", stroke: "#f57c00" }; // Orange - Medium altitude
+  } else {
+    return { fill: "#66bb6a", stroke: "#388e3c" }; // Green - Low altitude
+  }
+}
+
+// Brighter dots + tooltip for all traffic
+function updateAllTrafficMarkers(planes, excludeHexes) {
+  const seenHex = new Set();
+
+  planes.forEach(a => {
+    const hex = (a.hex || a.icao || "").toLowerCase();
+    if (!hex) return;
+    if (excludeHexes.has(hex)) return;
+
+    const lat = a.lat;
+    const lon = a.lon;
+    if (typeof lat !== "number" || typeof lon !== "number") return;
+
+    seenHex.add(hex);
+
+    const apiReg = a.r || a.registration || hex.toUpperCase();
+    const alt = Math.round(a.alt_geom ?? a.alt_baro ?? 0);
+    const gs  = a.gs != null ? Math.round(a.gs) : null;
+    const track = a.track != null ? a.track : (a.heading != null ? a.heading : null);
+
+    const colors = getAltitudeColor(alt);
+
+    let tooltipText = `${apiReg}\n${formatUnits("altitude", alt)}`;
+    if (gs !== null) {
+      tooltipText += `\nGS ${formatUnits("aircraftSpeed", gs)}`;
+    }
+
+    if (otherAircraftMarkers[hex]) {
+      const marker = otherAircraftMarkers[hex];
+
+      // Add position to buffer for smooth playback
+      if (!aircraftPositionBuffers[hex]) {
+        aircraftPositionBuffers[hex] = [];
+      }
+      aircraftPositionBuffers[hex].push({
+        lat,
+        lng: lon,
+        timestamp: Date.now()
+      });
+
+      // Update colors based on current altitude
+      marker.setStyle({
+        color: colors.stroke,
+        fillColor: colors.fill
+      });
+
+      if (marker.setTooltipContent) {
+        marker.setTooltipContent(tooltipText);
+      } else {
+        marker.bindTooltip(tooltipText, {
+          direction: "top",
+          offset: [0, -4]
+        });
+      }
+    } else {
+      const marker = L.circleMarker([lat, lon], {
+        radius: 7,
+        weight: 2,
+        color: colors.stroke,
+        fillColor: colors.fill,
+        fillOpacity: 0.85,
+        className: "traffic-marker"
+      });
+
+      marker.bindTooltip(tooltipText, {
+        direction: "top",
+        offset: [0, -4]
+      });
+
+      marker.addTo(map);
+      otherAircraftMarkers[hex] = marker;
+
+      // Initialize position buffer
+      aircraftPositionBuffers[hex] = [{
+        lat,
+        lng: lon,
+        timestamp: Date.now()
+      }];
+    }
+  });
+
+  // Clean up markers that are no longer present
+  Object.entries(otherAircraftMarkers).forEach(([hex, marker]) => {
+    if (!seenHex.has(hex)) {
+      map.removeLayer(marker);
+      delete otherAircraftMarkers[hex];
+      delete aircraftPositionBuffers[hex];
+    }
+  });
+
+  // Start smooth animation
+  startTrafficAnimation();
+}
+
+async function fetchAircraftPosition() {
+  if (isReplaying()) return;
+
+  try {
+    const planes = await fetchAllAircraft();
+    // Replay may have started while this poll was in flight
+    if (isReplaying()) return;
+
+    recordSessionEvent("adsb", { planes });
+    processAircraft(planes, Date.now());
+  } catch (err) {
+    console.error("ADS-B error:", err);
+  }
+}
+
+// Render one ADS-B poll (live or replayed) taken at `now` (ms)
+function processAircraft(planes, now) {
+  if (!planes.length) {
+    clearAllJumpPlanes();
+    Object.values(otherAircraftMarkers).forEach(m => map.removeLayer(m));
+    otherAircraftMarkers = {};
+    return;
+  }
+
+  const planesInRange = planes.filter(a => {
+    const lat = a.lat;
+    const lon = a.lon;
+    if (typeof lat !== "number" || typeof lon !== "number") return false;
+
+    const alt = a.alt_geom ?? a.alt_baro ?? 0;
+    if (alt < 0 || alt > 50000) return false;
+
+    return true;
+  });
+
+  const jumpCandidates = planesInRange.filter(a => {
+    const hex = (a.hex || a.icao || "").toLowerCase();
+    return JUMP_PLANE_HEXES.includes(hex);
+  });
+
+  const jumpHexes = new Set(jumpCandidates.map(a => (a.hex || a.icao || "").toLowerCase()));
+
+  // Flight phase / load log for every jump plane in view
+  jumpCandidates.forEach(a => updateFlightTracker(a, now));
+  checkLostFlightTrackers(jumpHexes, now);
+  updateAutoAircraft();
+
+  jumpCandidates.forEach(a => {
+    updateJumpPlaneHighlight(a.lat, a.lon, a.track || a.heading || 0, a);
+  });
+  Object.keys(jumpPlanes).forEach(hex => {
+    if (!jumpHexes.has(hex)) clearJumpPlaneHighlight(hex);
+  });
+  renderJumpPlaneStatus();
+
+  updateAllTrafficMarkers(planesInRange, jumpHexes);
+  updateConflictMonitor(planesInRange, jumpHexes);
+}
+
+/* ================================
+   GREEN LIGHT COUNTDOWN
+   Live jump plane position relative to the start of the jump run
+=================================== */
+function computeGreenLightApproach(lat, lon, trackDeg, gsKt) {
+  const heading = currentHeadingDeg;
+  const greenLight = jumpRunOffsetMiles || 0;
+  const along = alongRunMiles(lat, lon, heading);
+
+  const toGoMiles = greenLight - along;
+  const crossMiles = crossRunMiles(lat, lon, heading);
+  const headingErrDeg = trackDeg != null ? headingDifference(trackDeg, heading) : null;
+  const linedUp = headingErrDeg != null &&
+    headingErrDeg <= GREEN_LIGHT_HEADING_TOLERANCE_DEG &&
+    Math.abs(crossMiles) <= GREEN_LIGHT_CROSS_TOLERANCE_MILES;
+
+  // Only count down while flying toward the green light along the run
+  const gsMph = (gsKt || 0) * KNOTS_TO_MPH;
+  const closingMph = headingErrDeg != null ? gsMph * Math.cos(headingErrDeg * Math.PI / 180) : 0;
+  const timeSec = toGoMiles > 0 && closingMph > 1 ? toGoMiles / closingMph * 3600 : null;
+
+  return {
+    toGoMiles,
+    crossMiles,
+    headingErrDeg,
+    linedUp,
+    timeSec,
+    onRun: toGoMiles <= 0 && -toGoMiles <= getActiveAircraftProfile().jumpRunLengthMiles
+  };
+}
+
+function formatCountdown(sec) {
+  const s = Math.round(sec);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+// Status line for the Jump Aircraft card
+function formatGreenLightStatus(approach) {
+  const cross = Math.abs(approach.crossMiles) < 0.05
+    ? "on centerline"
+    : `${formatUnits("distance", Math.abs(approach.crossMiles))} ${approach.crossMiles > 0 ? "R" : "L"}`;
+  const lineup = approach.headingErrDeg == null
+    ? ""
+    : approach.linedUp
+      ? ` • <span class="status-badge status-good">Lined up</span>`
+      : approach.headingErrDeg > GREEN_LIGHT_HEADING_TOLERANCE_DEG
+        ? ` • <span class="status-badge status-warning">${Math.round(approach.headingErrDeg)}° off heading</span>`
+        : ` • <span class="status-badge status-warning">Off centerline</span>`;
+
+  if (approach.onRun) {
+    return `🟢 On jump run, ${formatUnits("distance", -approach.toGoMiles)} past green • ${cross}${lineup}`;
+  }
+  if (approach.toGoMiles < 0) {
+    return `Past jump run by ${formatUnits("distance", -approach.toGoMiles - getActiveAircraftProfile().jumpRunLengthMiles)} • ${cross}`;
+  }
+
+  // "Ahead" and the countdown only when the track points down the run
+  const inbound = approach.headingErrDeg != null && approach.headingErrDeg <= GREEN_LIGHT_HEADING_TOLERANCE_DEG;
+  if (!inbound) {
+    return `Green light ${formatUnits("distance", approach.toGoMiles)} away • ${cross}${lineup}`;
+  }
+  const time = approach.timeSec != null ? ` • ⏱ ${formatCountdown(approach.timeSec)}` : "";
+  return `Green light ${formatUnits("distance", approach.toGoMiles)} ahead • ${cross}${time}${lineup}`;
+}
+
+/* ================================
+   FLIGHT PHASE DETECTION & LOAD LOG
+   Per-tail state machine on the ADS-B stream; completed loads go to IndexedDB
+=================================== */
+const FLIGHT_PHASE_LABELS = {
+  "ground": "On ground",
+  "taxi": "Taxi",
+  "climbing": "Climbing",
+  "jump-run": "On jump run",
+  "descending": "Descending",
+  "landed": "Landed"
+};
+const AIRBORNE_PHASES = ["climbing", "jump-run", "descending"];
+
+const LOAD_LOG_DB = "windsAppLoadLog";
+const LOAD_LOG_STORE = "loads";
+
+// hex -> { tail, phase, last (sample), load (in progress) }
+let flightTrackers = {};
+let loadLogDbPromise = null;
+
+// readsb reports "ground" in alt_baro; the SBS/GDL90 bridges set the ground flag
+function isAircraftOnGround(a) {
+  return a.alt_baro === "ground" || a.ground === true;
+}
+
+// Height above the DZ
+function getAircraftAglFt(a) {
+  if (isAircraftOnGround(a)) return 0;
+  const alt = a.alt_geom ?? a.alt_baro;
+  return typeof alt === "number" ? alt - DZ_ELEVATION_FT : null;
+}
+
+// Signed cross-track distance (miles, right of the heading) from the jump run axis
+function crossRunMiles(lat, lon, headingDeg, axisCrossMiles = getRunCrossOffsetMiles(headingDeg)) {
+  const p = offsetFromDz(lat, lon);
+  const rad = headingDeg * Math.PI / 180;
+  return p.x * Math.cos(rad) - p.y * Math.sin(rad) - axisCrossMiles;
+}
+
+// Is the sample lined up on (or flying) the computed jump run? The run is flown
+// about level, so a climb out along the run heading doesn't count.
+function isOnJumpRun(sample) {
+  if (sample.aglFt < PHASE_JUMP_RUN_MIN_AGL_FT || sample.trackDeg == null) return false;
+  if (sample.vrateFpm != null && Math.abs(sample.vrateFpm) >= PHASE_CLIMB_MIN_FPM) return false;
+  if (headingDifference(sample.trackDeg, currentHeadingDeg) > PHASE_JUMP_RUN_MAX_HEADING_DEG) return false;
+  if (Math.abs(crossRunMiles(sample.lat, sample.lon, currentHeadingDeg)) > PHASE_JUMP_RUN_MAX_CROSS_MILES) return false;
+
+  const along = alongRunMiles(sample.lat, sample.lon, currentHeadingDeg);
+  const start = (jumpRunOffsetMiles || 0) - PHASE_JUMP_RUN_MARGIN_MILES;
+  const end = (jumpRunOffsetMiles || 0) + getActiveAircraftProfile().jumpRunLengthMiles + PHASE_JUMP_RUN_MARGIN_MILES;
+  return along >= start && along <= end;
+}
+
+function classifyFlightPhase(prevPhase, sample) {
+  const wasAirborne = AIRBORNE_PHASES.includes(prevPhase);
+
+  if (sample.onGround || sample.aglFt < PHASE_GROUND_AGL_FT) {
+    // "Landed" holds through the rollout and taxi back in
+    if (wasAirborne || (prevPhase === "landed" && sample.gsKt >= PHASE_TAXI_MIN_GS_KT)) return "landed";
+    return sample.gsKt >= PHASE_TAXI_MIN_GS_KT ? "taxi" : "ground";
+  }
+
+  if (sample.vrateFpm != null && sample.vrateFpm <= PHASE_DESCENT_MIN_FPM) return "descending";
+  if (isOnJumpRun(sample)) return "jump-run";
+  if (sample.vrateFpm != null && sample.vrateFpm >= PHASE_CLIMB_MIN_FPM) return "climbing";
+
+  // Level flight keeps the previous airborne phase (a fresh takeoff counts as climbing)
+  return wasAirborne ? prevPhase : "climbing";
+}
+
+function buildFlightSample(a, prev, time) {
+  const aglFt = getAircraftAglFt(a) ?? 0;
+  let vrateFpm = a.baro_rate ?? a.geom_rate ?? null;
+
+  // Derive the vertical rate from consecutive polls when the feed doesn't send one
+  if (vrateFpm == null && prev && time > prev.time) {
+    vrateFpm = (aglFt - prev.aglFt) / ((time - prev.time) / 60000);
+  }
+
+  return {
+    time,
+    lat: a.lat,
+    lon: a.lon,
+    aglFt,
+    onGround: isAircraftOnGround(a),
+    gsKt: a.gs ?? 0,
+    trackDeg: a.track ?? a.heading ?? null,
+    vrateFpm
+  };
+}
+
+// Feed one ADS-B position for a jump plane through its state machine
+function updateFlightTracker(a, time) {
+  const hex = (a.hex || a.icao || "").toLowerCase();
+  if (!flightTrackers[hex]) {
+    flightTrackers[hex] = { hex, tail: HEX_TO_TAIL[hex] || a.r || hex.toUpperCase(), phase: null, last: null, load: null };
+  }
+  const tracker = flightTrackers[hex];
+
+  const sample = buildFlightSample(a, tracker.last, time);
+  const prevPhase = tracker.phase;
+  const phase = classifyFlightPhase(prevPhase, sample);
+
+  // Takeoff (or first seen already airborne) starts a load
+  if (AIRBORNE_PHASES.includes(phase) && !tracker.load) {
+    const tookOff = prevPhase === "ground" || prevPhase === "taxi" || prevPhase === "landed";
+    tracker.load = {
+      takeoffTime: tookOff ? sample.time : null,
+      maxAglFt: sample.aglFt,
+      maxAglTime: sample.time,
+      maxAglTrack: sample.trackDeg,
+      jumpRunTracks: [],
+      jumpRunSamples: [],
+      plannedRun: null,
+      exitAltFt: null,
+      exitTime: null
+    };
+  }
+
+  const load = tracker.load;
+  if (load) {
+    if (sample.aglFt > load.maxAglFt) {
+      load.maxAglFt = sample.aglFt;
+      load.maxAglTime = sample.time;
+      load.maxAglTrack = sample.trackDeg;
+    }
+
+    // The last jump run sample before the plane passes the end of the run (or starts down) is the exit
+    if (phase === "jump-run") {
+      if (!load.plannedRun) load.plannedRun = snapshotPlannedJumpRun();
+      load.jumpRunSamples.push(sample);
+      if (sample.trackDeg != null) load.jumpRunTracks.push(sample.trackDeg);
+      if (load.exitTime === null || isWithinPlannedRun(sample, load.plannedRun)) {
+        load.exitAltFt = sample.aglFt;
+        load.exitTime = sample.time;
+      }
+    }
+
+    if (phase === "landed") {
+      completeLoad(tracker, sample.time);
+    }
+  }
+
+  tracker.phase = phase;
+  tracker.last = sample;
+  return tracker;
+}
+
+// Aircraft that drop out of coverage low and descending are taken to have landed
+function checkLostFlightTrackers(seenHexes, now) {
+  Object.entries(flightTrackers).forEach(([hex, tracker]) => {
+    if (seenHexes.has(hex) || !tracker.last) return;
+    if (now - tracker.last.time < PHASE_LOST_CONTACT_SEC * 1000) return;
+
+    const lowAndDescending = tracker.phase === "descending" || tracker.last.aglFt < PHASE_LOST_CONTACT_MAX_AGL_FT;
+    if (tracker.load && lowAndDescending) {
+      completeLoad(tracker, tracker.last.time);
+      tracker.phase = "landed";
+    }
+  });
+}
+
+// Circular mean of headings (deg)
+function meanHeadingDeg(headings) {
+  let x = 0, y = 0;
+  headings.forEach(h => {
+    x += Math.sin(h * Math.PI / 180);
+    y += Math.cos(h * Math.PI / 180);
+  });
+  return Math.round((Math.atan2(x, y) * 180 / Math.PI + 360) % 360);
+}
+
+function completeLoad(tracker, landingTime) {
+  const load = tracker.load;
+  tracker.load = null;
+  if (!load) return;
+
+  // Without a detected jump run, fall back to the top of the climb
+  const jumpRunDetected = load.jumpRunTracks.length > 0;
+  const record = {
+    date: new Date(landingTime).toLocaleDateString("en-CA"), // YYYY-MM-DD
+    tail: tracker.tail,
+    hex: tracker.hex,
+    takeoffTime: load.takeoffTime,
+    exitTime: jumpRunDetected ? load.exitTime : load.maxAglTime,
+    exitAltFt: Math.round(jumpRunDetected ? load.exitAltFt : load.maxAglFt),
+    jumpRunHeadingDeg: jumpRunDetected
+      ? meanHeadingDeg(load.jumpRunTracks)
+      : (load.maxAglTrack != null ? Math.round(load.maxAglTrack) : null),
+    jumpRunDetected,
+    landingTime,
+    review: jumpRunDetected
+      ? {
+          planned: load.plannedRun,
+          flown: load.jumpRunSamples.map(s => [s.lat, s.lon]),
+          stats: analyzeJumpRun(load.plannedRun, load.jumpRunSamples)
+        }
+      : null
+  };
+
+  console.log(`Load complete for ${record.tail}:`, record);
+
+  // Replayed sessions don't add to the log
+  if (isReplaying()) return;
+  saveLoadRecord(record).then(renderLoadLog);
+}
+
+function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function openLoadLogDb() {
+  if (!loadLogDbPromise) {
+    if (typeof indexedDB === "undefined") {
+      return Promise.reject(new Error("IndexedDB is not available"));
+    }
+    const req = indexedDB.open(LOAD_LOG_DB, 1);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(LOAD_LOG_STORE, { keyPath: "id", autoIncrement: true });
+      store.createIndex("date", "date");
+    };
+    loadLogDbPromise = requestToPromise(req);
+  }
+  return loadLogDbPromise;
+}
+
+async function saveLoadRecord(record) {
+  try {
+    const db = await openLoadLogDb();
+    const store = db.transaction(LOAD_LOG_STORE, "readwrite").objectStore(LOAD_LOG_STORE);
+    record.id = await requestToPromise(store.add(record));
+  } catch (err) {
+    console.error("Failed to save load to log:", err);
+  }
+}
+
+async function getLoadRecords() {
+  try {
+    const db = await openLoadLogDb();
+    const store = db.transaction(LOAD_LOG_STORE, "readonly").objectStore(LOAD_LOG_STORE);
+    return await requestToPromise(store.getAll());
+  } catch (err) {
+    console.error("Failed to read load log:", err);
+    return [];
+  }
+}
+
+function formatLogTime(timeMs) {
+  if (!timeMs) return "";
+  return new Date(timeMs).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit", hour12: false });
+}
+
+async function renderLoadLog() {
+  const tbody = document.getElementById("load-log-body");
+  const summaryEl = document.getElementById("load-log-summary");
+  if (!tbody) return;
+
+  const today = new Date().toLocaleDateString("en-CA");
+  const loads = (await getLoadRecords()).filter(r => r.date === today);
+
+  if (summaryEl) {
+    summaryEl.textContent = `${loads.length} load${loads.length === 1 ? "" : "s"} today`;
+  }
+
+  tbody.innerHTML = "";
+  if (!loads.length) {
+    tbody.innerHTML = `<tr><td colspan="5" style="text-align:center;">No loads logged today</td></tr>`;
+    return;
+  }
+
+  loads.slice().reverse().forEach(r => {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${r.tail}</td>
+      <td>${formatLogTime(r.takeoffTime) || "--"}</td>
+      <td>${formatLogTime(r.exitTime)}</td>
+      <td>${formatUnitValue("altitude", r.exitAltFt)}</td>
+      <td>${r.jumpRunHeadingDeg != null ? r.jumpRunHeadingDeg + "°" : "--"}${r.jumpRunDetected ? "" : "*"}</td>
+    `;
+    // Loads with a recorded jump run open the planned-vs-flown review
+    if (r.review) {
+      tr.className = "load-log-row";
+      tr.title = "Review planned vs flown jump run";
+      tr.classList.toggle("selected", r.id === reviewedLoadId);
+      tr.addEventListener("click", () => {
+        showLoadReview(r.id === reviewedLoadId ? null : r);
+        renderLoadLog();
+      });
+    }
+    tbody.appendChild(tr);
+  });
+}
+
+function csvEscape(value) {
+  const str = value == null ? "" : String(value);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// Converted to the selected units, like the CSV headers
+function reviewCsvColumns({ planned, stats }) {
+  const round = (quantity, v, digits) => v != null ? Number(toDisplayUnits(quantity, v).toFixed(digits)) : "";
+  return [
+    planned.headingDeg,
+    stats.headingErrorDeg,
+    round("distance", stats.lateralMeanMiles, 2),
+    round("distance", planned.offsetMiles, 2),
+    round("distance", stats.exitAlongMiles, 2),
+    round("distance", stats.exitErrorMiles, 2),
+    round("aircraftSpeed", planned.groundSpeedKt, 0),
+    round("aircraftSpeed", stats.groundSpeedKt, 0)
+  ];
+}
+
+async function exportLoadLogCsv() {
+  const loads = await getLoadRecords();
+  const alt = unitLabel("altitude");
+  const dist = unitLabel("distance");
+  const speed = unitLabel("aircraftSpeed");
+  const header = [
+    "Date", "Tail", "Takeoff", "Exit", "Landing",
+    `Exit Alt (${alt} AGL)`, "Jump Run Hdg (deg)", "Jump Run Detected", "Flight Time (min)",
+    "Planned Hdg (deg)", "Heading Error (deg)", `Lateral Dev (${dist}, +R)`,
+    `Planned Offset (${dist})`, `Exit Offset (${dist})`, `Exit Error (${dist}, +long)`,
+    `Planned GS (${speed})`, `Flown GS (${speed})`
+  ];
+
+  const rows = loads.map(r => [
+    r.date,
+    r.tail,
+    formatLogTime(r.takeoffTime),
+    formatLogTime(r.exitTime),
+    formatLogTime(r.landingTime),
+    Math.round(toDisplayUnits("altitude", r.exitAltFt)),
+    r.jumpRunHeadingDeg,
+    r.jumpRunDetected ? "yes" : "no",
+    r.takeoffTime ? Math.round((r.landingTime - r.takeoffTime) / 60000) : "",
+    ...(r.review ? reviewCsvColumns(r.review) : [])
+  ]);
+
+  const csv = [header, ...rows].map(row => row.map(csvEscape).join(",")).join("\n");
+  const blob = new Blob([csv], { type: "text/csv" });
+  downloadBlob(blob, `load-log-${new Date().toLocaleDateString("en-CA")}.csv`);
+}
+
+function initLoadLogControls() {
+  const exportBtn = document.getElementById("load-log-export");
+  if (exportBtn) {
+    exportBtn.addEventListener("click", exportLoadLogCsv);
+  }
+  renderLoadLog();
+}
+
+/* ================================
+   POST-LOAD JUMP RUN REVIEW
+   Flown jump run segment vs the jump run planned when the plane lined up
+=================================== */
+let loadReviewGroup = L.layerGroup().addTo(map);
+let reviewedLoadId = null;
+
+// Signed difference a - b in degrees, -180..180
+function signedHeadingDiff(a, b) {
+  return ((a - b + 540) % 360) - 180;
+}
+
+// Snapshot of the plan at the moment the aircraft was detected on jump run
+function snapshotPlannedJumpRun() {
+  return {
+    headingDeg: currentHeadingDeg,
+    offsetMiles: jumpRunOffsetMiles || 0,
+    // First group's exit point (green light plus light-to-door on an empty load)
+    exitMiles: exitPlan.length ? exitPlan[0].exitMiles : (jumpRunOffsetMiles || 0) + getDoorFudgeMiles(),
+    crossOffsetMiles: getRunCrossOffsetMiles(currentHeadingDeg),
+    lengthMiles: getActiveAircraftProfile().jumpRunLengthMiles,
+    aircraft: getActiveAircraftProfile().label,
+    groundSpeedKt: jumpRunGroundSpeedKnots,
+    source: jumpRunSource
+  };
+}
+
+// Not yet past the end of the planned run (jump run detection allows a margin beyond it)
+function isWithinPlannedRun(sample, planned) {
+  return alongRunMiles(sample.lat, sample.lon, planned.headingDeg) <= planned.offsetMiles + planned.lengthMiles;
+}
+
+function analyzeJumpRun(planned, samples) {
+  const h = planned.headingDeg;
+  const tracks = samples.filter(s => s.trackDeg != null).map(s => s.trackDeg);
+  const crosses = samples.map(s => crossRunMiles(s.lat, s.lon, h, planned.crossOffsetMiles ?? 0));
+  const speeds = samples.filter(s => s.gsKt > 0).map(s => s.gsKt);
+
+  // Exit where the plane leaves the run; samples stop once it starts down
+  let exitIndex = 0;
+  samples.forEach((s, i) => {
+    if (isWithinPlannedRun(s, planned)) exitIndex = i;
+  });
+  const exit = samples[exitIndex];
+  // Older records only have the green light
+  const plannedExitMiles = planned.exitMiles ?? planned.offsetMiles;
+
+  const flownHeadingDeg = tracks.length ? meanHeadingDeg(tracks) : null;
+  const exitAlongMiles = alongRunMiles(exit.lat, exit.lon, h);
+
+  return {
+    flownHeadingDeg,
+    headingErrorDeg: flownHeadingDeg != null ? signedHeadingDiff(flownHeadingDeg, h) : null,
+    lateralMeanMiles: crosses.reduce((sum, c) => sum + c, 0) / crosses.length,
+    lateralMaxMiles: Math.max(...crosses.map(Math.abs)),
+    firstAlongMiles: alongRunMiles(samples[0].lat, samples[0].lon, h),
+    exitIndex,
+    exitAlongMiles,
+    exitErrorMiles: exitAlongMiles - plannedExitMiles,
+    groundSpeedKt: speeds.length ? speeds.reduce((sum, v) => sum + v, 0) / speeds.length : null
+  };
+}
+
+function formatSignedMiles(mi, pos, neg) {
+  return `${formatUnits("distance", Math.abs(mi))} ${mi >= 0 ? pos : neg}`;
+}
+
+function showLoadReview(record) {
+  const panel = document.getElementById("load-review");
+  loadReviewGroup.clearLayers();
+
+  if (!record || !record.review) {
+    reviewedLoadId = null;
+    if (panel) panel.classList.add("hidden");
+    return;
+  }
+
+  reviewedLoadId = record.id;
+  const { planned, flown, stats } = record.review;
+  // Loads logged before runs were shifted over the landing area flew the DZ axis
+  const axisCross = planned.crossOffsetMiles ?? 0;
+  const start = pointOnRun(planned.offsetMiles, planned.headingDeg, axisCross);
+  const end = pointOnRun(planned.offsetMiles + planned.lengthMiles, planned.headingDeg, axisCross);
+  const exit = flown[stats.exitIndex ?? flown.length - 1];
+
+  L.polyline([[start.lat, start.lon], [end.lat, end.lon]], {
+    weight: 5,
+    color: "#76ff03",
+    opacity: 0.8,
+    dashArray: "10 6"
+  }).bindTooltip(`Planned ${planned.headingDeg}° @ ${formatOffsetMiles(planned.offsetMiles)}`).addTo(loadReviewGroup);
+  L.circleMarker([start.lat, start.lon], {
+    radius: 6,
+    color: "#2e7d32",
+    fillColor: "#76ff03",
+    fillOpacity: 1
+  }).bindTooltip("Planned green light").addTo(loadReviewGroup);
+
+  const flownLine = L.polyline(flown, {
+    weight: 3,
+    color: getJumpPlaneColor(record.hex),
+    opacity: 0.9
+  }).bindTooltip(`Flown ${record.tail}`).addTo(loadReviewGroup);
+  L.circleMarker(exit, {
+    radius: 6,
+    color: "#b71c1c",
+    fillColor: "#ff5252",
+    fillOpacity: 1
+  }).bindTooltip("Exit (last position on the run)").addTo(loadReviewGroup);
+
+  map.fitBounds(flownLine.getBounds().extend([start.lat, start.lon]).extend([end.lat, end.lon]), { padding: [40, 40] });
+
+  if (!panel) return;
+  const gsPlanned = planned.groundSpeedKt != null ? ` (planned ${formatUnits("aircraftSpeed", planned.groundSpeedKt)})` : "";
+  panel.classList.remove("hidden");
+  document.getElementById("load-review-title").textContent =
+    `${record.tail} • exit ${formatLogTime(record.exitTime)}`;
+  document.getElementById("load-review-stats").innerHTML = `
+    <div>Heading: ${stats.flownHeadingDeg ?? "--"}° flown vs ${planned.headingDeg}° planned` +
+      `${stats.headingErrorDeg != null ? ` (${stats.headingErrorDeg > 0 ? "+" : ""}${stats.headingErrorDeg}°)` : ""}</div>
+    <div>Lateral: avg ${formatSignedMiles(stats.lateralMeanMiles, "R", "L")}, max ${formatUnits("distance", stats.lateralMaxMiles)}</div>
+    <div>Exit: ${formatOffsetMiles(stats.exitAlongMiles)} vs planned ${formatOffsetMiles(planned.exitMiles ?? planned.offsetMiles)}` +
+      ` (${formatSignedMiles(stats.exitErrorMiles, "long", "short")})</div>
+    <div>Ground speed: ${stats.groundSpeedKt != null ? formatUnits("aircraftSpeed", stats.groundSpeedKt) : "--"}${gsPlanned}</div>
+  `;
+}
+
+function initLoadReviewControls() {
+  const closeBtn = document.getElementById("load-review-close");
+  if (closeBtn) {
+    closeBtn.addEventListener("click", () => showLoadReview(null));
   }
 }
 
 /* ================================
-   ADS-B: All traffic + highlighted jump plane
+   TRAFFIC CONFLICT MONITOR
+   Projects non-jump traffic forward and alerts on the jump run / canopy corridor
 =================================== */
-let jumpPlaneMarker = null;
-let jumpPlaneTrackLine = null;
-let jumpPlaneTrackCoords = [];
-let otherAircraftMarkers = {};
-let aircraftPositionBuffers = {}; // Store buffer of recent positions for smooth playback
-let playbackDelay = 20000; // 20 second delay for buffered playback (in milliseconds)
-let animationFrameId = null;
-
-// Smooth position playback using buffered positions
-function animateTrafficMarkers() {
-  const now = Date.now();
-  const playbackTime = now - playbackDelay; // Look back in time for delayed playback
-
-  Object.entries(otherAircraftMarkers).forEach(([hex, marker]) => {
-    const buffer = aircraftPositionBuffers[hex];
-    if (!buffer || buffer.length < 2) return;
-
-    // Remove old positions from buffer (older than we need)
-    while (buffer.length > 0 && buffer[0].timestamp < playbackTime - 30000) {
-      buffer.shift();
+const CONFLICT_AUDIO_KEY = "trafficConflictAudio";
+const CONFLICT_ACTIVE_PHASES = ["climbing", "jump-run"];
+const CONFLICT_AUDIO_STALE_MS = 2000;
+
+let conflictAudioEnabled = true;
+let conflictThreats = [];
+let alertedConflictHexes = new Set();
+let conflictAudioCtx = null;
+// Threats are still tracked but not announced (a replay seek re-running past polls)
+let conflictAlertsMuted = false;
+let conflictGroup = L.layerGroup().addTo(map);
+
+// Highest jump plane that is climbing or on jump run, or null when nobody is going up
+function getActiveJumpPlane() {
+  let best = null;
+  Object.entries(flightTrackers).forEach(([hex, tracker]) => {
+    if (!CONFLICT_ACTIVE_PHASES.includes(tracker.phase) || !tracker.last) return;
+    if (!best || tracker.last.aglFt > best.last.aglFt) {
+      best = { hex, ...tracker };
     }
+  });
+  return best;
+}
 
-    // Find the two positions to interpolate between
-    let beforePos = null;
-    let afterPos = null;
+// Lowest and highest opening on the planned load; the generic opening altitude on an empty load
+function getPlannedOpeningRangeFt() {
+  const alts = exitPlan.map(group => group.openingAltFt);
+  if (!alts.length) return { lowFt: OPENING_ALTITUDE_FT, highFt: OPENING_ALTITUDE_FT };
+  return { lowFt: Math.min(...alts), highFt: Math.max(...alts) };
+}
 
-    for (let i = 0; i < buffer.length - 1; i++) {
-      if (buffer[i].timestamp <= playbackTime && buffer[i + 1].timestamp >= playbackTime) {
-        beforePos = buffer[i];
-        afterPos = buffer[i + 1];
-        break;
+// The two protected volumes: freefall along the jump run and the canopy area over the target.
+// Freefall reaches down to the lowest opening, canopies fly from the highest one
+function getConflictZones(activeAglFt) {
+  const openings = getPlannedOpeningRangeFt();
+  const exitTopFt = Math.max(getActiveAircraftProfile().exitAltFt, activeAglFt || 0) + CONFLICT_ALT_BUFFER_FT;
+  const start = (jumpRunOffsetMiles || 0) - CONFLICT_CORRIDOR_MARGIN_MILES;
+  const end = (jumpRunOffsetMiles || 0) + getActiveAircraftProfile().jumpRunLengthMiles + CONFLICT_CORRIDOR_MARGIN_MILES;
+  const landingTarget = getLandingTarget();
+  const target = offsetFromDz(landingTarget.lat, landingTarget.lon);
+  const axisCross = getRunCrossOffsetMiles(currentHeadingDeg);
+
+  return [
+    {
+      id: "jump-run",
+      label: "Jump run",
+      floorFt: openings.lowFt - CONFLICT_ALT_BUFFER_FT,
+      ceilingFt: exitTopFt,
+      contains: (x, y) => {
+        const rad = currentHeadingDeg * Math.PI / 180;
+        const along = x * Math.sin(rad) + y * Math.cos(rad);
+        const cross = x * Math.cos(rad) - y * Math.sin(rad) - axisCross;
+        return along >= start && along <= end && Math.abs(cross) <= CONFLICT_CORRIDOR_HALF_WIDTH_MILES;
       }
+    },
+    {
+      id: "canopy",
+      label: "Canopy area",
+      floorFt: 0,
+      ceilingFt: openings.highFt + CONFLICT_ALT_BUFFER_FT,
+      contains: (x, y) => Math.hypot(x - target.x, y - target.y) <= CONFLICT_CANOPY_RADIUS_MILES
     }
+  ];
+}
 
-    // If we don't have bracketing positions, use the closest one
-    if (!beforePos || !afterPos) {
-      if (buffer.length > 0) {
-        const closestPos = buffer[buffer.length - 1];
-        marker.setLatLng([closestPos.lat, closestPos.lng]);
-      }
-      return;
+// Step the aircraft along its track/ground speed/vertical rate; first zone entered wins
+function predictConflict(a, zones) {
+  // Parked and taxiing traffic at the DZ is no threat to canopies
+  if (isAircraftOnGround(a)) return null;
+  const aglFt = getAircraftAglFt(a);
+  if (aglFt == null) return null;
+
+  const start = offsetFromDz(a.lat, a.lon);
+  const gsMph = (a.gs ?? 0) * KNOTS_TO_MPH;
+  const track = a.track ?? a.heading;
+  const vrateFpm = a.baro_rate ?? a.geom_rate ?? 0;
+  const rad = (track ?? 0) * Math.PI / 180;
+
+  for (let t = 0; t <= CONFLICT_LOOKAHEAD_SEC; t += CONFLICT_STEP_SEC) {
+    const distMiles = track != null ? gsMph * t / 3600 : 0;
+    const x = start.x + distMiles * Math.sin(rad);
+    const y = start.y + distMiles * Math.cos(rad);
+    const alt = aglFt + vrateFpm * t / 60;
+
+    const zone = zones.find(z => alt >= z.floorFt && alt <= z.ceilingFt && z.contains(x, y));
+    if (zone) {
+      return { zone, timeSec: t, projected: offsetPoint(DZ_LAT, DZ_LON, x, y) };
     }
+  }
+  return null;
+}
 
-    // Interpolate between the two positions
-    const timeDiff = afterPos.timestamp - beforePos.timestamp;
-    const timeProgress = playbackTime - beforePos.timestamp;
-    const ratio = timeDiff > 0 ? timeProgress / timeDiff : 0;
+function updateConflictMonitor(planes, jumpHexes) {
+  conflictGroup.clearLayers();
 
-    const interpolatedLat = beforePos.lat + (afterPos.lat - beforePos.lat) * ratio;
-    const interpolatedLng = beforePos.lng + (afterPos.lng - beforePos.lng) * ratio;
+  const active = getActiveJumpPlane();
+  if (!active) {
+    conflictThreats = [];
+    alertedConflictHexes.clear();
+    renderConflictPanel(null);
+    return;
+  }
 
-    marker.setLatLng([interpolatedLat, interpolatedLng]);
+  const zones = getConflictZones(active.last.aglFt);
+  const activePos = offsetFromDz(active.last.lat, active.last.lon);
+
+  conflictThreats = [];
+  planes.forEach(a => {
+    const hex = (a.hex || a.icao || "").toLowerCase();
+    if (!hex || jumpHexes.has(hex)) return;
+
+    const conflict = predictConflict(a, zones);
+    if (!conflict) return;
+
+    const pos = offsetFromDz(a.lat, a.lon);
+    conflictThreats.push({
+      hex,
+      tail: a.r || a.registration || a.flight?.trim() || hex.toUpperCase(),
+      zone: conflict.zone.label,
+      rangeMiles: Math.hypot(pos.x - activePos.x, pos.y - activePos.y),
+      relAltFt: getAircraftAglFt(a) - active.last.aglFt,
+      timeSec: conflict.timeSec,
+      lat: a.lat,
+      lon: a.lon,
+      projected: conflict.projected
+    });
+  });
+  conflictThreats.sort((a, b) => a.timeSec - b.timeSec);
+
+  drawConflictZones(zones);
+  conflictThreats.forEach(threat => {
+    L.polyline([[threat.lat, threat.lon], [threat.projected.lat, threat.projected.lon]], {
+      color: "#d32f2f",
+      weight: 2,
+      dashArray: "4 4",
+      interactive: false
+    }).addTo(conflictGroup);
+    L.circleMarker([threat.lat, threat.lon], {
+      radius: 12,
+      weight: 3,
+      color: "#d32f2f",
+      fill: false,
+      className: "traffic-conflict-ring",
+      interactive: false
+    }).addTo(conflictGroup);
   });
 
-  // Always continue animating
-  animationFrameId = requestAnimationFrame(animateTrafficMarkers);
+  // Alert once per aircraft until it drops off the threat list
+  const threatHexes = new Set(conflictThreats.map(t => t.hex));
+  const newThreats = conflictThreats.filter(t => !alertedConflictHexes.has(t.hex));
+  alertedConflictHexes = threatHexes;
+  if (newThreats.length && !conflictAlertsMuted) {
+    showBanner(`⚠ Traffic conflict: ${newThreats.map(t => t.tail).join(", ")}`, "error", 8000);
+    playConflictAlert();
+  }
+
+  renderConflictPanel(active);
 }
 
-// Start animation loop if not already running
-function startTrafficAnimation() {
-  if (!animationFrameId) {
-    animationFrameId = requestAnimationFrame(animateTrafficMarkers);
-  }
+function drawConflictZones(zones) {
+  const start = (jumpRunOffsetMiles || 0) - CONFLICT_CORRIDOR_MARGIN_MILES;
+  const end = (jumpRunOffsetMiles || 0) + getActiveAircraftProfile().jumpRunLengthMiles + CONFLICT_CORRIDOR_MARGIN_MILES;
+  const rad = currentHeadingDeg * Math.PI / 180;
+  const axisCross = getRunCrossOffsetMiles(currentHeadingDeg);
+  const corner = (along, offAxis) => {
+    const cross = axisCross + offAxis;
+    const p = offsetPoint(DZ_LAT, DZ_LON,
+      along * Math.sin(rad) + cross * Math.cos(rad),
+      along * Math.cos(rad) - cross * Math.sin(rad));
+    return [p.lat, p.lon];
+  };
+  const w = CONFLICT_CORRIDOR_HALF_WIDTH_MILES;
+  const style = { color: "#d32f2f", weight: 1, dashArray: "6 6", fillOpacity: 0.04, interactive: false };
+
+  L.polygon([corner(start, -w), corner(end, -w), corner(end, w), corner(start, w)], style).addTo(conflictGroup);
+  const landingTarget = getLandingTarget();
+  L.circle([landingTarget.lat, landingTarget.lon], {
+    ...style,
+    radius: CONFLICT_CANOPY_RADIUS_MILES * METERS_PER_MILE
+  }).addTo(conflictGroup);
 }
 
-function clearJumpPlaneHighlight() {
-  if (jumpPlaneMarker) {
-    map.removeLayer(jumpPlaneMarker);
-    jumpPlaneMarker = null;
-  }
-  if (jumpPlaneTrackLine) {
-    map.removeLayer(jumpPlaneTrackLine);
-    jumpPlaneTrackLine = null;
+function renderConflictPanel(active) {
+  const statusEl = document.getElementById("conflict-status");
+  const tbody = document.getElementById("conflict-body");
+  if (!statusEl || !tbody) return;
+
+  tbody.innerHTML = "";
+  if (!active) {
+    statusEl.className = "status-badge status-good";
+    statusEl.textContent = "Monitor idle (no jump plane climbing or on jump run)";
+    return;
   }
-  jumpPlaneTrackCoords = [];
 
-  const statusEl = document.getElementById("aircraft-status");
-  if (statusEl) {
-    statusEl.textContent = "No jump aircraft currently tracked.";
+  const tail = HEX_TO_TAIL[active.hex] || active.tail;
+  if (!conflictThreats.length) {
+    statusEl.className = "status-badge status-good";
+    statusEl.textContent = `Clear • watching for ${tail}`;
+    return;
   }
+
+  statusEl.className = "status-badge status-danger";
+  statusEl.textContent = `⚠ ${conflictThreats.length} conflict${conflictThreats.length === 1 ? "" : "s"} • ${tail}`;
+
+  conflictThreats.forEach(t => {
+    const rel = Math.round(t.relAltFt / 100) * 100;
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${t.tail}</td>
+      <td>${t.zone}</td>
+      <td>${formatUnits("distance", t.rangeMiles, 1)}</td>
+      <td>${rel > 0 ? "+" : ""}${formatUnits("altitude", rel)}</td>
+      <td>${t.timeSec === 0 ? "NOW" : `${t.timeSec} s`}</td>
+    `;
+    tbody.appendChild(tr);
+  });
 }
 
-function updateJumpPlaneHighlight(lat, lon, trackDeg, planeMeta) {
-  const latLng = [lat, lon];
-  jumpPlaneTrackCoords.push(latLng);
-  if (jumpPlaneTrackCoords.length > 200) {
-    jumpPlaneTrackCoords.shift();
+// Create or wake the alert audio context; browsers only let it start from a user gesture
+function unlockConflictAudio() {
+  if (!conflictAudioEnabled) return;
+  const AudioCtx = window.AudioContext || window.webkitAudioContext;
+  if (!AudioCtx) return;
+
+  try {
+    if (!conflictAudioCtx) {
+      conflictAudioCtx = new AudioCtx();
+      conflictAudioCtx.addEventListener("statechange", updateConflictAudioState);
+    }
+    if (conflictAudioCtx.state === "suspended") {
+      conflictAudioCtx.resume()
+        .then(updateConflictAudioState)
+        .catch(err => console.error("Failed to resume conflict audio:", err));
+    }
+  } catch (err) {
+    console.error("Failed to start conflict audio:", err);
   }
+  updateConflictAudioState();
+}
 
-  const rotation = trackDeg || 0;
+// Alerts are on but the browser is holding audio until the page is clicked
+function updateConflictAudioState() {
+  const el = document.getElementById("conflict-audio-blocked");
+  if (!el) return;
+  const supported = !!(window.AudioContext || window.webkitAudioContext);
+  const blocked = conflictAudioEnabled && supported &&
+    (!conflictAudioCtx || conflictAudioCtx.state !== "running");
+  el.classList.toggle("hidden", !blocked);
+}
 
-  if (!jumpPlaneMarker) {
-    const icon = L.divIcon({
-      className: "aircraft-icon",
-      html: `<div class="aircraft-icon-inner" style="transform: rotate(${rotation}deg);">✈️</div>`,
-      iconSize: [24, 24],
-      iconAnchor: [12, 12]
+// Short two-tone beep; skipped if the context only wakes up long after the alert
+function playConflictAlert() {
+  if (!conflictAudioEnabled) return;
+  unlockConflictAudio();
+  if (!conflictAudioCtx) return;
+
+  const requestedAt = Date.now();
+  conflictAudioCtx.resume().then(() => {
+    if (Date.now() - requestedAt > CONFLICT_AUDIO_STALE_MS) return;
+    [880, 660, 880].forEach((freq, i) => {
+      const osc = conflictAudioCtx.createOscillator();
+      const gain = conflictAudioCtx.createGain();
+      const startAt = conflictAudioCtx.currentTime + i * 0.25;
+      osc.frequency.value = freq;
+      gain.gain.value = 0.2;
+      osc.connect(gain).connect(conflictAudioCtx.destination);
+      osc.start(startAt);
+      osc.stop(startAt + 0.2);
     });
-    jumpPlaneMarker = L.marker(latLng, { icon }).addTo(map);
-  } else {
-    jumpPlaneMarker.setLatLng(latLng);
-    // Update rotation
-    const iconElement = jumpPlaneMarker.getElement();
-    if (iconElement) {
-      const innerDiv = iconElement.querySelector('.aircraft-icon-inner');
-      if (innerDiv) {
-        innerDiv.style.transform = `rotate(${rotation}deg)`;
+  }).catch(err => console.error("Failed to play conflict alert:", err));
+}
+
+function initConflictControls() {
+  conflictAudioEnabled = localStorage.getItem(CONFLICT_AUDIO_KEY) !== "false";
+
+  const toggle = document.getElementById("conflict-audio-toggle");
+  if (toggle) {
+    toggle.checked = conflictAudioEnabled;
+    toggle.addEventListener("change", () => {
+      conflictAudioEnabled = toggle.checked;
+      try {
+        localStorage.setItem(CONFLICT_AUDIO_KEY, String(conflictAudioEnabled));
+      } catch (err) {
+        console.error("Failed to save conflict audio setting:", err);
       }
-    }
+      unlockConflictAudio();
+      updateConflictAudioState();
+    });
   }
 
-  if (!jumpPlaneTrackLine) {
-    jumpPlaneTrackLine = L.polyline(jumpPlaneTrackCoords, {
-      weight: 3,
-      color: "#9c27b0",
-      opacity: 0.7,
-      dashArray: "8 4",
-      className: "jump-plane-trail"
-    }).addTo(map);
-  } else {
-    jumpPlaneTrackLine.setLatLngs(jumpPlaneTrackCoords);
+  const blockedBtn = document.getElementById("conflict-audio-blocked");
+  if (blockedBtn) {
+    blockedBtn.addEventListener("click", unlockConflictAudio);
   }
+  // Any interaction with the page counts as the gesture that lets audio start
+  ["pointerdown", "keydown"].forEach(type => {
+    document.addEventListener(type, unlockConflictAudio, true);
+  });
+  updateConflictAudioState();
+  renderConflictPanel(null);
+}
 
-  // Sidebar info for jump ship
-  const statusEl = document.getElementById("aircraft-status");
+/* ================================
+   SESSION RECORDING & REPLAY
+   Records every ADS-B poll and wind fetch; replays a session file through
+   the same rendering paths with live polling paused
+=================================== */
+const SESSION_FILE_VERSION = 1;
+const REPLAY_TICK_MS = 250;
+const REPLAY_SPEEDS = [1, 2, 5, 10, 30, 60];
 
-  if (statusEl && planeMeta) {
-    const hex = (planeMeta.hex || planeMeta.icao || "").toLowerCase();
-    const apiReg = planeMeta.r || planeMeta.registration;
-    const tail = apiReg || HEX_TO_TAIL[hex] || hex.toUpperCase();
+let recordingSession = null;
+let replay = null; // { session, startMs, endMs, timeMs, nextIndex, playing, speed, timer, lastTick }
+// Live flight trackers (loads in progress) set aside while a replay runs
+let liveFlightTrackers = null;
 
-    const altRaw = planeMeta.alt_geom ?? planeMeta.alt_baro ?? 0;
-    const alt = Math.round(altRaw);
-    const gs = planeMeta.gs != null ? Math.round(planeMeta.gs) : null;
+function isReplaying() {
+  return replay !== null;
+}
 
-    let html = `<strong>${tail}</strong><br><span class="small">`;
-    html += `🔼 ${alt.toLocaleString()} ft`;
-    if (gs !== null) {
-      html += ` • ➡️ ${gs} kt GS`;
-    }
-    html += `</span>`;
-    statusEl.innerHTML = html;
-  }
+function recordSessionEvent(type, data) {
+  if (!recordingSession || isReplaying()) return;
+  recordingSession.events.push({ t: Date.now(), type, ...data });
+  updateSessionDisplay();
 }
 
-// Helper: Get color based on altitude
-function getAltitudeColor(altFt) {
-  if (altFt >= 10000) {
-    return { fill: "#ff5252", stroke: "#d32f2f" }; // Red - High altitude (jump traffic)
-  } else if (altFt >= 5000) {
-    return { fill: "#ffa726", stroke: "#f57c00" }; // Orange - Medium altitude
-  } else {
-    return { fill: "#66bb6a", stroke: "#388e3c" }; // Green - Low altitude
+function startRecording() {
+  recordingSession = {
+    version: SESSION_FILE_VERSION,
+    started: new Date().toISOString(),
+    settings: readSettings(),
+    events: []
+  };
+
+  // Seed with the winds already on screen so a replay has them from the start
+  if (windsForecast.length) {
+    recordSessionEvent("winds", { provider: activeWindProviderId, timestamp: windsTimestamp, forecast: windsForecast });
   }
+  updateSessionDisplay();
 }
 
-// Brighter dots + tooltip for all traffic
-function updateAllTrafficMarkers(planes, excludeHex) {
-  const seenHex = new Set();
-
-  planes.forEach(a => {
-    const hex = (a.hex || a.icao || "").toLowerCase();
-    if (!hex) return;
-    if (hex === excludeHex) return;
+function stopRecording() {
+  const session = recordingSession;
+  recordingSession = null;
+  updateSessionDisplay();
+  if (!session || !session.events.length) return;
 
-    const lat = a.lat;
-    const lon = a.lon;
-    if (typeof lat !== "number" || typeof lon !== "number") return;
+  const blob = new Blob([JSON.stringify(session)], { type: "application/json" });
+  const stamp = session.started.slice(0, 16).replace(/[-:]/g, "").replace("T", "-");
+  downloadBlob(blob, `session-${stamp}.json`);
+}
 
-    seenHex.add(hex);
+// Wipe aircraft state so a replay (or a seek) starts clean
+function resetAircraftState() {
+  clearAllJumpPlanes();
+  Object.values(otherAircraftMarkers).forEach(m => map.removeLayer(m));
+  otherAircraftMarkers = {};
+  aircraftPositionBuffers = {};
+  flightTrackers = {};
+  autoAircraftHex = null;
+  conflictThreats = [];
+  alertedConflictHexes.clear();
+  conflictGroup.clearLayers();
+  renderConflictPanel(null);
+}
 
-    const apiReg = a.r || a.registration || hex.toUpperCase();
-    const alt = Math.round(a.alt_geom ?? a.alt_baro ?? 0);
-    const gs  = a.gs != null ? Math.round(a.gs) : null;
-    const track = a.track != null ? a.track : (a.heading != null ? a.heading : null);
+function applySessionEvent(event) {
+  if (event.type === "winds") {
+    windsForecast = event.forecast;
+    windsTimestamp = event.timestamp || event.t;
+    applyForecastHour();
+    updateWindsTimestampDisplay();
+  } else if (event.type === "adsb") {
+    processAircraft(event.planes, event.t);
+  }
+}
 
-    const colors = getAltitudeColor(alt);
+async function loadSessionFile(file) {
+  try {
+    const session = JSON.parse(await file.text());
+    if (!session || session.version !== SESSION_FILE_VERSION || !Array.isArray(session.events) || !session.events.length) {
+      throw new Error("Not a recorded session");
+    }
+    session.events.sort((a, b) => a.t - b.t);
 
-    let tooltipText = `${apiReg}\n${alt} ft`;
-    if (gs !== null) {
-      tooltipText += `\nGS ${gs} kt`;
+    const dz = session.settings;
+    if (dz && (Math.abs(dz.DZ_LAT - DZ_LAT) > 0.01 || Math.abs(dz.DZ_LON - DZ_LON) > 0.01)) {
+      showBanner(`Session was recorded at ${dz.DZ_NAME}, not ${DZ_NAME}; positions are relative to the current DZ.`, "warning", 8000);
     }
 
-    if (otherAircraftMarkers[hex]) {
-      const marker = otherAircraftMarkers[hex];
+    startReplay(session);
+  } catch (err) {
+    console.error("Failed to load session:", err);
+    showBanner(`Failed to load session: ${err.message}`, "error", 8000);
+  }
+}
 
-      // Add position to buffer for smooth playback
-      if (!aircraftPositionBuffers[hex]) {
-        aircraftPositionBuffers[hex] = [];
-      }
-      aircraftPositionBuffers[hex].push({
-        lat,
-        lng: lon,
-        timestamp: Date.now()
-      });
+function startReplay(session) {
+  if (recordingSession) stopRecording();
+  stopReplay(false);
+
+  // The replay builds its own trackers; live loads are restored when it ends
+  liveFlightTrackers = flightTrackers;
+
+  const startMs = session.events[0].t;
+  replay = {
+    session,
+    startMs,
+    endMs: session.events[session.events.length - 1].t,
+    timeMs: startMs,
+    nextIndex: 0,
+    playing: false,
+    speed: 1,
+    timer: null,
+    lastTick: 0
+  };
 
-      // Update colors based on current altitude
-      marker.setStyle({
-        color: colors.stroke,
-        fillColor: colors.fill
-      });
+  seekReplay(startMs);
+  playReplay();
+}
 
-      if (marker.setTooltipContent) {
-        marker.setTooltipContent(tooltipText);
-      } else {
-        marker.bindTooltip(tooltipText, {
-          direction: "top",
-          offset: [0, -4]
-        });
-      }
-    } else {
-      const marker = L.circleMarker([lat, lon], {
-        radius: 7,
-        weight: 2,
-        color: colors.stroke,
-        fillColor: colors.fill,
-        fillOpacity: 0.85,
-        className: "traffic-marker"
-      });
+// Leave replay; live polling picks up again
+function stopReplay(resumeLive = true) {
+  if (!replay) return;
+  clearInterval(replay.timer);
+  replay = null;
+  resetAircraftState();
+  if (liveFlightTrackers) {
+    flightTrackers = liveFlightTrackers;
+    liveFlightTrackers = null;
+  }
+  updateSessionDisplay();
 
-      marker.bindTooltip(tooltipText, {
-        direction: "top",
-        offset: [0, -4]
-      });
+  if (resumeLive) {
+    fetchWinds();
+    fetchAircraftPosition();
+  }
+}
 
-      marker.addTo(map);
-      otherAircraftMarkers[hex] = marker;
+function playReplay() {
+  if (!replay || replay.playing) return;
+  if (replay.timeMs >= replay.endMs) seekReplay(replay.startMs);
 
-      // Initialize position buffer
-      aircraftPositionBuffers[hex] = [{
-        lat,
-        lng: lon,
-        timestamp: Date.now()
-      }];
-    }
-  });
+  replay.playing = true;
+  replay.lastTick = Date.now();
+  replay.timer = setInterval(tickReplay, REPLAY_TICK_MS);
+  updateSessionDisplay();
+}
 
-  // Clean up markers that are no longer present
-  Object.entries(otherAircraftMarkers).forEach(([hex, marker]) => {
-    if (!seenHex.has(hex)) {
-      map.removeLayer(marker);
-      delete otherAircraftMarkers[hex];
-      delete aircraftPositionBuffers[hex];
-    }
-  });
+function pauseReplay() {
+  if (!replay) return;
+  replay.playing = false;
+  clearInterval(replay.timer);
+  replay.timer = null;
+  updateSessionDisplay();
+}
 
-  // Start smooth animation
-  startTrafficAnimation();
+function tickReplay() {
+  const now = Date.now();
+  advanceReplay(replay.timeMs + (now - replay.lastTick) * replay.speed);
+  replay.lastTick = now;
+
+  if (replay.timeMs >= replay.endMs) pauseReplay();
 }
 
-async function fetchAircraftPosition() {
+function advanceReplay(toMs) {
+  const events = replay.session.events;
+  replay.timeMs = Math.min(toMs, replay.endMs);
+
+  while (replay.nextIndex < events.length && events[replay.nextIndex].t <= replay.timeMs) {
+    applySessionEvent(events[replay.nextIndex]);
+    replay.nextIndex++;
+  }
+  updateSessionDisplay();
+}
+
+// Rebuild the state at `toMs`: latest winds, then the recent ADS-B polls for trails and phases
+function seekReplay(toMs) {
+  const events = replay.session.events;
+  const warmupFrom = toMs - REPLAY_SEEK_WARMUP_SEC * 1000;
+
+  resetAircraftState();
+  replay.timeMs = toMs;
+
+  const winds = events.filter(e => e.type === "winds" && e.t <= toMs).pop();
+  if (winds) applySessionEvent(winds);
+
+  replay.nextIndex = events.findIndex(e => e.type === "adsb" && e.t >= warmupFrom);
+  if (replay.nextIndex < 0) replay.nextIndex = events.length;
+
+  // Winds were already applied; only ADS-B is replayed through the warm-up window,
+  // without alerting on threats that are already in the past
+  conflictAlertsMuted = true;
   try {
-    const res = await fetch(ADSB_ENDPOINT, { cache: "no-store" });
-    if (!res.ok) throw new Error("ADS-B HTTP " + res.status);
-    const data = await res.json();
-
-    const planes = data.aircraft || data.ac || [];
-    if (!planes.length) {
-      clearJumpPlaneHighlight();
-      Object.values(otherAircraftMarkers).forEach(m => map.removeLayer(m));
-      otherAircraftMarkers = {};
-      return;
+    while (replay.nextIndex < events.length && events[replay.nextIndex].t <= toMs) {
+      if (events[replay.nextIndex].type === "adsb") applySessionEvent(events[replay.nextIndex]);
+      replay.nextIndex++;
     }
+  } finally {
+    conflictAlertsMuted = false;
+  }
+  updateSessionDisplay();
+}
 
-    const planesInRange = planes.filter(a => {
-      const lat = a.lat;
-      const lon = a.lon;
-      if (typeof lat !== "number" || typeof lon !== "number") return false;
+function formatReplayTime(ms) {
+  return new Date(ms).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit", second: "2-digit", hour12: false });
+}
 
-      const alt = a.alt_geom ?? a.alt_baro ?? 0;
-      if (alt < 0 || alt > 50000) return false;
+function updateSessionDisplay() {
+  const statusEl = document.getElementById("session-status");
+  const recordBtn = document.getElementById("session-record");
+  const replayControls = document.getElementById("replay-controls");
+  if (!statusEl) return;
 
-      return true;
-    });
+  if (recordBtn) {
+    recordBtn.textContent = recordingSession ? "Stop & save" : "Record";
+    recordBtn.disabled = isReplaying();
+  }
 
-    const jumpCandidates = planesInRange.filter(a => {
-      const hex = (a.hex || a.icao || "").toLowerCase();
-      return JUMP_PLANE_HEXES.includes(hex);
-    });
+  if (replay) {
+    statusEl.className = "status-badge status-warning";
+    statusEl.textContent = `▶ Replay ${formatReplayTime(replay.timeMs)} (${replay.speed}×)${replay.playing ? "" : " • paused"}`;
+  } else if (recordingSession) {
+    const polls = recordingSession.events.filter(e => e.type === "adsb").length;
+    statusEl.className = "status-badge status-danger";
+    statusEl.textContent = `● Recording since ${formatReplayTime(Date.parse(recordingSession.started))} • ${polls} polls`;
+  } else {
+    statusEl.className = "status-badge status-good";
+    statusEl.textContent = "Live";
+  }
 
-    let chosenJump = null;
+  if (!replayControls) return;
+  replayControls.classList.toggle("hidden", !replay);
+  if (!replay) return;
+
+  const seek = document.getElementById("replay-seek");
+  seek.max = replay.endMs - replay.startMs;
+  seek.value = replay.timeMs - replay.startMs;
+  document.getElementById("replay-play").textContent = replay.playing ? "Pause" : "Play";
+  document.getElementById("replay-speed").value = replay.speed;
+  document.getElementById("replay-range").textContent =
+    `${formatReplayTime(replay.startMs)} – ${formatReplayTime(replay.endMs)}`;
+}
 
-    if (jumpCandidates.length) {
-      chosenJump = jumpCandidates[0];
-      for (const a of jumpCandidates.slice(1)) {
-        const altBest = chosenJump.alt_geom ?? chosenJump.alt_baro ?? 0;
-        const altCur = a.alt_geom ?? a.alt_baro ?? 0;
-        if (altCur > altBest) chosenJump = a;
-      }
+function initSessionControls() {
+  const recordBtn = document.getElementById("session-record");
+  if (!recordBtn) return;
 
-      const lat = chosenJump.lat;
-      const lon = chosenJump.lon;
-      updateJumpPlaneHighlight(lat, lon, chosenJump.track || chosenJump.heading || 0, chosenJump);
-    } else {
-      clearJumpPlaneHighlight();
-    }
+  recordBtn.addEventListener("click", () => {
+    if (recordingSession) stopRecording();
+    else startRecording();
+  });
 
-    const chosenHex = chosenJump ? (chosenJump.hex || chosenJump.icao || "").toLowerCase() : null;
-    updateAllTrafficMarkers(planesInRange, chosenHex);
+  const fileInput = document.getElementById("session-file");
+  document.getElementById("session-load").addEventListener("click", () => fileInput.click());
+  fileInput.addEventListener("change", () => {
+    if (fileInput.files[0]) loadSessionFile(fileInput.files[0]);
+    fileInput.value = "";
+  });
 
-  } catch (err) {
-    console.error("ADS-B error:", err);
-  }
+  document.getElementById("replay-play").addEventListener("click", () => {
+    if (replay && replay.playing) pauseReplay();
+    else playReplay();
+  });
+  document.getElementById("replay-exit").addEventListener("click", () => stopReplay());
+
+  document.getElementById("replay-seek").addEventListener("input", e => {
+    if (replay) seekReplay(replay.startMs + Number(e.target.value));
+  });
+
+  const speedSelect = document.getElementById("replay-speed");
+  speedSelect.innerHTML = REPLAY_SPEEDS.map(s => `<option value="${s}">${s}×</option>`).join("");
+  speedSelect.addEventListener("change", () => {
+    if (replay) replay.speed = Number(speedSelect.value);
+    updateSessionDisplay();
+  });
+
+  updateSessionDisplay();
 }
 
 /* ================================
@@ -1165,10 +6035,8 @@ async function fetchAircraftPosition() {
 function initializeFromCache() {
   const cached = loadCachedWinds();
   if (cached && cached.winds.length) {
-    windsAloft = cached.winds;
     windsTimestamp = cached.timestamp;
-    renderWindsTable();
-    autoUpdateHeadingFromWinds();
+    applyCachedWinds(cached);
     console.log("Initialized with cached winds");
   }
 }
@@ -1178,6 +6046,24 @@ function initializeFromCache() {
 =================================== */
 
 // Initial draw (before winds load)
+updateUnitLabels();
+initSettingsControls();
+initAircraftProfileControls();
+initForecastSlider();
+initWindSourceControls();
+initWindChartControls();
+initJumpRunOverrideControls();
+initExitOrderControls();
+initLandingPatternControls();
+initSpotUncertaintyControls();
+initCanopyReachControls();
+initLoadLogControls();
+initLoadReviewControls();
+initConflictControls();
+initSessionControls();
+initDzFeatureControls();
+loadJumpRunOverride();
+drawJumpRunConstraints();
 updateJumpRun();
 renderWindsTable();
 
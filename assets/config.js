@@ -1,15 +1,78 @@
 /* ================================
    CONFIGURATION
    Edit these values to customize for your dropzone
+   Values declared with `let` are defaults that can be changed at runtime from
+   the Settings panel (saved in the browser's localStorage).
 =================================== */
 
 // Dropzone Information
-const DZ_NAME = "Skydive Midwest";
-const DZ_LAT = 42.703153;
-const DZ_LON = -87.958641;
+let DZ_NAME = "Skydive Midwest";
+let DZ_LAT = 42.703153;
+let DZ_LON = -87.958641;
 
-// Weather Data Source
-const WIND_MODEL_URL = "https://api.open-meteo.com/v1/gfs";
+// Field elevation (ft MSL), used to convert FD bulletin altitudes to AGL
+let DZ_ELEVATION_FT = 785;
+
+// Display units: "imperial" (ft, kt, mi, mph), "metric" (m, m/s, km, km/h)
+// or "aviation" (ft, kt, NM). Values in this file stay in the units their names say.
+let UNIT_SYSTEM = "imperial";
+
+// Weather Data Sources
+// Open-Meteo model endpoints selectable as wind providers. A model that doesn't publish
+// every pressure level or variable lists what it has: `levels` (hPa, default pressureLevels),
+// `levelVariables` (per-level, default wind, height, temperature and cloud cover) and
+// `surfaceVariables` (default surface wind, gusts, temperature, dew point, pressure, cloud bands);
+// asking for something a model lacks fails the whole request.
+const WIND_MODELS = {
+  gfs:   { label: "GFS",   url: "https://api.open-meteo.com/v1/gfs" },
+  hrrr:  { label: "HRRR",  url: "https://api.open-meteo.com/v1/gfs", model: "gfs_hrrr" },
+  ecmwf: { label: "ECMWF", url: "https://api.open-meteo.com/v1/ecmwf",
+           levels: [1000, 925, 850, 700, 600, 500],
+           levelVariables: ["wind_speed", "wind_direction", "geopotential_height", "temperature"] },
+  icon:  { label: "ICON",  url: "https://api.open-meteo.com/v1/dwd-icon" }
+};
+
+// Default provider: a key of WIND_MODELS, "fd" (pasted winds aloft bulletin) or "manual"
+const WIND_PROVIDER = "gfs";
+
+// Station identifier to read from a pasted FD bulletin
+const FD_STATION = "MKE";
+
+// Providers shown side by side in the model comparison view
+const COMPARE_WIND_PROVIDERS = ["gfs", "hrrr", "ecmwf", "icon"];
+
+// Comparison flags a disagreement beyond these spreads
+const COMPARE_HEADING_WARN_DEG = 30;
+const COMPARE_OFFSET_WARN_MILES = 0.3;
+
+// How far ahead (hours) the forecast time slider can plan
+const FORECAST_SCRUB_HOURS = 24;
+
+// Wind shear warnings: change between adjacent wind layers per 1000 ft
+let SHEAR_DIRECTION_WARN_DEG_PER_1000FT = 30;
+let SHEAR_SPEED_WARN_KT_PER_1000FT = 10;
+// Flags 5k–14k layers blowing at least this far off the averaged jump run wind
+let SHEAR_OPPOSING_LAYER_DEG = 120;
+
+// Wind limits per jumper category (kt). Exceeding any one puts the category on HOLD.
+// surfaceKt: sustained surface wind, gustKt: peak gust, gustSpreadKt: gust minus sustained,
+// openingKt: wind at openingAltFt (ft AGL), crosswindKt: across the landing direction
+const WIND_LIMIT_CATEGORIES = {
+  student:     { label: "Students",    surfaceKt: 12, gustKt: 15, gustSpreadKt: 6,  openingKt: 25, openingAltFt: 5000, crosswindKt: 6 },
+  alicense:    { label: "A-license",   surfaceKt: 16, gustKt: 20, gustSpreadKt: 8,  openingKt: 30, openingAltFt: 3500, crosswindKt: 9 },
+  tandem:      { label: "Tandems",     surfaceKt: 18, gustKt: 22, gustSpreadKt: 10, openingKt: 35, openingAltFt: 5000, crosswindKt: 10 },
+  experienced: { label: "Experienced", surfaceKt: 25, gustKt: 30, gustSpreadKt: 15, openingKt: 45, openingAltFt: 3000, crosswindKt: 15 }
+};
+// Values at or above this fraction of a limit show CAUTION
+const WIND_LIMIT_CAUTION_FRACTION = 0.85;
+
+// Cloud clearance: layers with at least CLOUD_NO_GO_COVER_PCT % cover (broken) are no-go
+// at exit, over the spot or under canopy; thinner layers down to CLOUD_CAUTION_COVER_PCT
+// are flagged. Exit must also clear a layer by these vertical distances (ft).
+let CLOUD_NO_GO_COVER_PCT = 60;
+let CLOUD_CAUTION_COVER_PCT = 30;
+let CLOUD_CLEARANCE_BELOW_FT = 500;
+let CLOUD_CLEARANCE_ABOVE_FT = 1000;
 
 // Altitude levels for wind display (in feet)
 const desiredAltitudesFt = [
@@ -17,49 +80,225 @@ const desiredAltitudesFt = [
   7000, 8000, 9000, 10000, 11000, 12000, 13000, 14000
 ];
 
-// GFS pressure levels and their approximate altitudes
-const pressureLevels = [1000, 925, 850, 700, 600];
+// GFS pressure levels requested from the model (hPa)
+// Each level is placed at its forecast geopotential height above the DZ,
+// then interpolated to the display altitudes above.
+const pressureLevels = [1000, 975, 950, 925, 900, 850, 800, 750, 700, 650, 600, 550, 500];
+
+// Approximate standard-atmosphere altitudes (ft MSL) per level, only used if
+// the model response is missing geopotential heights
 const approxAltitudeFtByLevel = {
   1000: 361,
+  975: 984,
+  950: 1640,
   925: 2625,
+  900: 3281,
   850: 4921,
+  800: 6562,
+  750: 8202,
   700: 9843,
-  600: 13780
+  650: 11811,
+  600: 13780,
+  550: 16404,
+  500: 18373
 };
 
+// Height of the model's surface wind (10 m) in feet above ground
+const SURFACE_WIND_HEIGHT_FT = 33;
+
 // ADS-B Configuration
 // Uses nginx proxy configured in nginx.conf to fetch from adsb.lol
 const ADSB_ENDPOINT = "/adsb";
 
+// ADS-B feeds, polled together and merged by ICAO hex (newest position wins)
+// type: "readsb"  adsb.lol /v2 API or a local dump1090 / readsb / tar1090 aircraft.json
+//       "opensky" OpenSky /api/states/all (add a lamin/lomin/lamax/lomax box around the DZ)
+//       "sbs"     SBS-1 / BaseStation "MSG,..." lines served over HTTP by a bridge
+//       "gdl90"   GDL90 traffic reports decoded to JSON by a bridge (Stratux field names)
+const ADSB_SOURCES = [
+  // { type: "readsb", url: "/local1090/aircraft.json", label: "Local 1090" },
+  { type: "readsb", url: ADSB_ENDPOINT, label: "adsb.lol" }
+];
+
+// Positions older than this are dropped
+const ADSB_MAX_AGE_SEC = 60;
+
+// Session replay: when seeking, ADS-B polls this far back are replayed to rebuild trails and flight phases
+const REPLAY_SEEK_WARMUP_SEC = 600;
+
 // Jump Plane Configuration
 // Hex codes (ICAO 24-bit) for your jump planes (lowercase)
-const JUMP_PLANE_HEXES = [
+let JUMP_PLANE_HEXES = [
   "a93270", // N692DA
   "a939de", // N694DA
   "a93627", // N693DA
   "a948ba"  // N698DA
 ];
 
+// Aircraft Profiles
+// Jump run figures per aircraft type (light-to-door and run length from dev/spot.html)
+// for the aircraft ADS-B shows climbing, or the one picked in the Jump Run card.
+// Fields a profile leaves out use the generic JUMP_RUN_* / LIGHT_TO_DOOR_MILES /
+// EXIT_ALTITUDE_FT values (editable in Settings); the home aircraft sets none of them.
+const AIRCRAFT_PROFILES = {
+  kingair:   { label: "King Air",   jumpRunAirspeedKt: 100, jumpRunLengthMiles: 1.5, lightToDoorMiles: 0.15, climbRateFpm: 1500, exitAltFt: 13000 },
+  twinotter: { label: "Twin Otter", climbRateFpm: 1000 },
+  c182:      { label: "Cessna 182", jumpRunAirspeedKt: 70,  jumpRunLengthMiles: 0.2, lightToDoorMiles: 0.20, climbRateFpm: 500,  exitAltFt: 10000 }
+};
+
+// Tail number (see HEX_TO_TAIL) -> key of AIRCRAFT_PROFILES (also set in Settings)
+let AIRCRAFT_BY_TAIL = {
+  "N692DA": "twinotter",
+  "N693DA": "twinotter",
+  "N694DA": "twinotter",
+  "N698DA": "twinotter"
+};
+
+// Trail / label colors, assigned in JUMP_PLANE_HEXES order
+const JUMP_PLANE_COLORS = ["#9c27b0", "#1976d2", "#e65100", "#00897b", "#c2185b"];
+
 // Map hex -> tail number for sidebar display
-const HEX_TO_TAIL = {
+let HEX_TO_TAIL = {
   "a93270": "N692DA",
   "a939de": "N694DA",
   "a93627": "N693DA",
   "a948ba": "N698DA"
 };
 
+// Flight Phase Detection (jump planes, from ADS-B)
+const PHASE_GROUND_AGL_FT = 200;              // below this the aircraft counts as on the ground
+const PHASE_TAXI_MIN_GS_KT = 5;               // ground speed that separates taxi from parked
+const PHASE_CLIMB_MIN_FPM = 300;              // vertical rate that counts as climbing
+const PHASE_DESCENT_MIN_FPM = -500;           // vertical rate that counts as descending
+const PHASE_JUMP_RUN_MIN_AGL_FT = 3000;       // lowest altitude considered a jump run
+const PHASE_JUMP_RUN_MAX_CROSS_MILES = 0.5;   // max distance off the jump run axis
+const PHASE_JUMP_RUN_MAX_HEADING_DEG = 25;    // max track difference from the jump run heading
+const PHASE_JUMP_RUN_MARGIN_MILES = 1.0;      // allowance before/after the drawn jump run
+const PHASE_LOST_CONTACT_SEC = 120;           // signal lost this long while low = landed
+const PHASE_LOST_CONTACT_MAX_AGL_FT = 1500;
+
+// Green Light Countdown
+// A jump plane counts as lined up within these limits of the jump run
+const GREEN_LIGHT_HEADING_TOLERANCE_DEG = 10;
+const GREEN_LIGHT_CROSS_TOLERANCE_MILES = 0.1;
+
+// Traffic Conflict Monitor
+// Non-jump traffic is projected ahead along its track, ground speed and vertical rate
+// while a jump plane is climbing or on jump run.
+const CONFLICT_LOOKAHEAD_SEC = 120;            // how far ahead to project traffic
+const CONFLICT_STEP_SEC = 5;                   // projection time step
+const CONFLICT_CORRIDOR_HALF_WIDTH_MILES = 0.5; // jump run corridor half-width
+const CONFLICT_CORRIDOR_MARGIN_MILES = 1.0;    // corridor extension before/after the jump run
+const CONFLICT_CANOPY_RADIUS_MILES = 1.5;      // canopy area radius around the landing target
+const CONFLICT_ALT_BUFFER_FT = 1000;           // vertical buffer above/below each volume
+
 // Skydiver & Canopy Parameters
 // Adjust these based on your typical jump profile
-const EXIT_ALTITUDE_FT = 13000;
-const OPENING_ALTITUDE_FT = 3000;
-const FREEFALL_TERMINAL_VELOCITY_MPH = 120;
-const CANOPY_DESCENT_RATE_MPH = 15;
-const CANOPY_FORWARD_SPEED_MPH = 25;
+let EXIT_ALTITUDE_FT = 13000;
+let OPENING_ALTITUDE_FT = 3000;
+let FREEFALL_TERMINAL_VELOCITY_MPH = 120;
+// Fall rates (here and in JUMPER_DISCIPLINES) are for a standard day at this altitude
+// (ft MSL); the freefall model speeds them up in thinner air and slows them in denser air
+const FREEFALL_REFERENCE_ALT_FT = 8000;
+let CANOPY_DESCENT_RATE_MPH = 15;
+let CANOPY_FORWARD_SPEED_MPH = 25;
+
+// Per-discipline jumper profiles for the exit order planner
+// fallRateMph: average freefall speed (or fallRateFactor: multiple of FREEFALL_TERMINAL_VELOCITY_MPH),
+// openingAltFt: deployment altitude,
+// extraSeparationSec: added to the ground-speed separation before this group exits,
+// waitsForSpot: false lets a group with plenty of canopy range go as soon as separation allows.
+// Anything left out (belly sets nothing) follows the skydiver & canopy values above.
+const JUMPER_DISCIPLINES = {
+  belly:    { label: "Belly" },
+  freefly:  { label: "Freefly",   fallRateFactor: 1.33 },
+  tandem:   { label: "Tandem",    fallRateMph: 120, openingAltFt: 5000, canopyForwardMph: 20, extraSeparationSec: 3 },
+  student:  { label: "Student",   fallRateMph: 115, openingAltFt: 5000, canopyForwardMph: 20 },
+  wingsuit: { label: "Wingsuit",  fallRateMph: 60,  openingAltFt: 4000, extraSeparationSec: 10 },
+  hopnpop:  { label: "Hop-n-pop", fallRateMph: 100, openingAltFt: 12000, waitsForSpot: false }
+};
+
+// Default exit order for a new load (keys of JUMPER_DISCIPLINES)
+const DEFAULT_EXIT_ORDER = ["belly", "freefly", "tandem", "student", "wingsuit", "hopnpop"];
+
+// Spot Uncertainty (Monte Carlo footprint)
+// Each run shifts the whole wind profile by a random 1σ direction/speed error
+// and adds half of that again independently per layer.
+const SPOT_MC_RUNS = 300;
+const SPOT_MC_DIR_ERROR_DEG = 15;
+const SPOT_MC_SPEED_ERROR_KT = 4;
+// Also sample the neighbouring forecast hours (±1 h) as part of the spread
+const SPOT_MC_USE_HOUR_SPREAD = true;
+
+// Canopy Reach
+// A canopy "gets home" if it can reach the landing target with this much altitude left.
+// The offset calculation spots for arriving at 0 ft; raise this for a pattern margin.
+const CANOPY_REACH_ARRIVAL_ALT_FT = 0;
+
+// Landing Pattern
+// Target the pattern is flown to, pattern side ("left" or "right" hand turns)
+// and the checkpoint altitudes: downwind entry, base turn, final turn
+let LANDING_TARGET_LAT = DZ_LAT;
+let LANDING_TARGET_LON = DZ_LON;
+const LANDING_PATTERN_SIDE = "left";
+const LANDING_PATTERN_ALTITUDES_FT = [1000, 600, 300];
+// Permitted final approach headings (deg), e.g. [180, 360] for a N/S landing area.
+// Empty lands straight into the surface wind.
+const LANDING_DIRECTIONS_DEG = [];
+
+// DZ Features
+// Map overlay of landing areas, outs and hazards. Edited with the draw tools on the
+// map and saved in the browser; DZ_FEATURES is the overlay until the first edit.
+// Kinds flagged "landing" can be picked as the spot / canopy / pattern target.
+const DZ_FEATURE_KINDS = {
+  main:      { label: "Main landing area",    color: "#43a047", landing: true },
+  student:   { label: "Student landing area", color: "#fdd835", landing: true },
+  tandem:    { label: "Tandem landing area",  color: "#f4511e", landing: true },
+  out:       { label: "Alternate out",        color: "#1e88e5", landing: true },
+  powerline: { label: "Power lines",          color: "#c62828" },
+  water:     { label: "Water",                color: "#0288d1" },
+  hazard:    { label: "Hazard",               color: "#ff6f00" }
+};
+// GeoJSON FeatureCollection, [lon, lat] coordinates, typed by properties.kind
+// (a key of DZ_FEATURE_KINDS) and labelled by properties.name
+const DZ_FEATURES = {
+  type: "FeatureCollection",
+  features: [
+    // {
+    //   type: "Feature",
+    //   properties: { kind: "main", name: "Main LZ" },
+    //   geometry: { type: "Polygon", coordinates: [[[-87.9605, 42.7025], [-87.9570, 42.7025], [-87.9570, 42.7040], [-87.9605, 42.7040], [-87.9605, 42.7025]]] }
+    // }
+  ]
+};
 
 // Jump Run Geometry & Fudge Factors
 // Adjust based on your aircraft type and DZ procedures
-const JUMP_RUN_LENGTH_MILES = 0.8;      // total ground length of jump run
-const JUMP_RUN_AIRSPEED_KNOTS = 90;     // target airspeed during jump run
-const AIRPLANE_DRIFT_MILES   = 0.00;    // aircraft drift during climb to altitude (removed - not relevant to jump run calculation)
-const LIGHT_TO_DOOR_MILES    = 0.10;    // distance from green light to door
+let JUMP_RUN_LENGTH_MILES = 0.8;      // total ground length of jump run
+let JUMP_RUN_AIRSPEED_KNOTS = 90;     // target airspeed during jump run
+let AIRPLANE_DRIFT_MILES   = 0.00;    // aircraft drift during climb to altitude (removed - not relevant to jump run calculation)
+let LIGHT_TO_DOOR_MILES    = 0.10;    // distance from green light to door
 const METERS_PER_MILE        = 1609.34; // conversion constant
+const FEET_PER_METER         = 3.28084; // conversion constant
+
+// Jump Run Constraints
+// Allowed jump run headings as clockwise [from, to] sectors (deg); empty allows any heading
+const JUMP_RUN_ALLOWED_SECTORS = [];          // e.g. [[200, 340]]
+// Runway-aligned headings preferred when within the tolerance of the into-wind heading
+const JUMP_RUN_PREFERRED_HEADINGS = [];       // e.g. [270, 90]
+const JUMP_RUN_PREFERRED_TOLERANCE_DEG = 15;
+// How far the green light may slide along the run (miles, either way) to clear a no-fly area
+// before a heading is rejected
+const JUMP_RUN_OFFSET_SEARCH_MILES = 0.3;
+// Areas the jump run (green light to end of run) must not cross: GeoJSON Polygon /
+// MultiPolygon features, [lon, lat] coordinates, named by properties.name
+const JUMP_RUN_NO_FLY_AREAS = {
+  type: "FeatureCollection",
+  features: [
+    // {
+    //   type: "Feature",
+    //   properties: { name: "Class C shelf" },
+    //   geometry: { type: "Polygon", coordinates: [[[-87.93, 42.69], [-87.90, 42.69], [-87.90, 42.72], [-87.93, 42.72], [-87.93, 42.69]]] }
+    // }
+  ]
+};